@@ -0,0 +1,107 @@
+// A stand-in for the REST backend: MockService behind the routes in API_ROUTES, so the REST
+// adapter can be tried end to end without a real API.
+//
+//   npm run standin                                   # http://localhost:8787/api
+//   VITE_MINDLINK_API=http://localhost:8787/api npm run dev
+//
+// PORT changes the port. Data lives in memory unless MINDLINK_STANDIN_DATA names a JSON file.
+import { createServer as createHttpServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { createServer as createViteServer } from "vite";
+
+const PORT = Number(process.env.PORT) || 8787;
+const PREFIX = "/api";
+const DATA_FILE = process.env.MINDLINK_STANDIN_DATA || null;
+
+// MockService falls back to localStorage when there's no IndexedDB, which is always the case here
+const items = new Map(DATA_FILE && existsSync(DATA_FILE) ? Object.entries(JSON.parse(readFileSync(DATA_FILE, "utf8"))) : []);
+let saving = null;
+const save = () => {
+  if (!DATA_FILE || saving) return;
+  saving = setTimeout(() => {
+    saving = null;
+    writeFileSync(DATA_FILE, JSON.stringify(Object.fromEntries(items)));
+  }, 200);
+};
+globalThis.localStorage = {
+  getItem: (k) => (items.has(k) ? items.get(k) : null),
+  setItem: (k, v) => {
+    items.set(k, String(v));
+    save();
+  },
+  removeItem: (k) => {
+    items.delete(k);
+    save();
+  },
+};
+
+const vite = await createViteServer({ server: { middlewareMode: true, hmr: false, ws: false }, appType: "custom", logLevel: "error" });
+const { MockService, API_ROUTES } = await vite.ssrLoadModule("/src/MindLink.jsx");
+
+const routes = API_ROUTES.map(([name, verb, path, params]) => {
+  const keys = [];
+  const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (_, k) => (keys.push(k), "([^/]+)"))}$`);
+  return { name, verb, pattern, keys, params };
+});
+
+const parseQueryValue = (v) => (/^[[{"]|^(true|false|null|-?\d+(\.\d+)?)$/.test(v) ? JSON.parse(v) : v);
+
+const readBody = async (req) => {
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+};
+
+// uploads arrive as data URLs; MockService wants Blobs
+const toBlobs = async (media) => {
+  const out = { ...media };
+  for (const k of ["blob", "thumb", "poster"]) if (typeof out[k] === "string") out[k] = await (await fetch(out[k])).blob();
+  return out;
+};
+
+const streams = new Set();
+MockService.subscribe((event) => {
+  for (const res of streams) res.write(`data: ${JSON.stringify(event)}\n\n`);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body ?? null));
+};
+
+const server = createHttpServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "OPTIONS") return res.end();
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (!url.pathname.startsWith(PREFIX)) return send(res, 404, { error: "Not found." });
+  const path = url.pathname.slice(PREFIX.length);
+
+  if (path === "/events") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.write(": connected\n\n");
+    streams.add(res);
+    req.on("close", () => streams.delete(res));
+    return;
+  }
+
+  let match = null;
+  const route = routes.find((r) => r.verb === req.method && (match = path.match(r.pattern)));
+  if (!route) return send(res, 404, { error: "Not found." });
+
+  try {
+    const values = { ...Object.fromEntries(route.keys.map((k, i) => [k, decodeURIComponent(match[i + 1])])) };
+    if (req.method === "GET" || req.method === "DELETE") {
+      for (const [k, v] of url.searchParams) values[k] = parseQueryValue(v);
+    } else Object.assign(values, await readBody(req));
+    if (route.name === "uploadMedia" && values.media) values.media = await toBlobs(values.media);
+    const result = await MockService[route.name](...route.params.map((p) => values[p]));
+    send(res, 200, result);
+  } catch (e) {
+    send(res, /not found/i.test(e.message) ? 404 : 400, { error: e.message });
+  }
+});
+
+server.listen(PORT, () => console.log(`MindLink stand-in API on http://localhost:${PORT}${PREFIX}`));
@@ -0,0 +1,67 @@
+// The REST adapter and outbox against the real stand-in server, started on a spare port.
+import { spawn } from "node:child_process";
+import { afterAll, describe, expect, it } from "vitest";
+import { createRestAdapter, withOutbox } from "../src/MindLink.jsx";
+
+const PORT = 8797;
+const API = `http://localhost:${PORT}/api`;
+
+// what the adapter and outbox expect from a browser
+const items = new Map();
+globalThis.window = { location: { href: "http://localhost/" }, addEventListener: () => {} };
+globalThis.localStorage = { getItem: (k) => (items.has(k) ? items.get(k) : null), setItem: (k, v) => items.set(k, String(v)), removeItem: (k) => items.delete(k) };
+
+let server = null;
+const start = () =>
+  new Promise((resolve, reject) => {
+    server = spawn(process.execPath, ["server/standin.mjs"], { env: { ...process.env, PORT: String(PORT) }, stdio: ["ignore", "pipe", "inherit"] });
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("stand-in API on")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`stand-in exited with ${code}`)));
+  });
+
+afterAll(() => {
+  server?.kill();
+});
+
+describe("REST adapter against the stand-in", () => {
+  const rest = createRestAdapter(API);
+  const service = withOutbox(rest);
+
+  it("queues writes while the server is down and replays them in order once it's up", async () => {
+    const post = await service.createPost({ authorId: "u_you", content: "written offline" });
+    await service.likePost(post.id, "u_ava");
+    expect(service.outbox.entries().map((e) => [e.method, e.state])).toEqual([
+      ["createPost", "pending"],
+      ["likePost", "pending"],
+    ]);
+    expect(service.outbox.entries()[0].id).toBe(post.id);
+
+    await start();
+    await service.outbox.flush();
+    expect(service.outbox.entries()).toEqual([]);
+
+    const { posts } = await service.fetchPosts({ viewerId: "u_ava", filter: { ids: [post.id] } });
+    expect(posts).toHaveLength(1);
+    expect(posts[0].id).not.toBe(post.id);
+    expect(posts[0]).toMatchObject({ content: "written offline", clientId: post.id, likes: 1, likedByMe: true });
+    expect(posts[0].sync).toBeUndefined();
+  }, 60000);
+
+  it("creates a post only once per clientId", async () => {
+    const first = await rest.createPost({ authorId: "u_you", content: "sent twice", clientId: "retry_1" });
+    const again = await rest.createPost({ authorId: "u_you", content: "sent twice", clientId: "retry_1" });
+    expect(again.id).toBe(first.id);
+    const { posts } = await rest.fetchPosts({ viewerId: "u_you", filter: { text: "sent twice" } });
+    expect(posts.filter((p) => p.clientId === "retry_1")).toHaveLength(1);
+  });
+
+  it("round-trips reads and passes the service's errors through", async () => {
+    const { posts } = await rest.fetchPosts({ viewerId: "u_you", limit: 2 });
+    expect(posts).toHaveLength(2);
+    expect(await rest.fetchPost(posts[0].id, "u_you")).toMatchObject({ id: posts[0].id });
+    await expect(rest.deletePost("u_ava", posts.find((p) => p.authorId !== "u_ava").id)).rejects.toMatchObject({ status: 400 });
+    await expect(rest.fetchPost("p_nope", "u_you")).resolves.toBeNull();
+  });
+});
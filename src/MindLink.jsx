@@ -1,6 +1,7 @@
 // src/MindLink.jsx
-import React, { useEffect, useState, useRef } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useContext, useEffect, useState, useRef } from "react";
+import { motion, AnimatePresence, LayoutGroup } from "framer-motion";
+import { INSIGHT, buildProfile, rankPosts } from "./insight.js";
 
 /*
   MindLink — Dark Neon UI prototype
@@ -24,6 +25,11 @@ const LS = {
       localStorage.setItem(k, JSON.stringify(v));
     } catch {}
   },
+  remove: (k) => {
+    try {
+      localStorage.removeItem(k);
+    } catch {}
+  },
 };
 
 const THEME = {
@@ -47,299 +53,5596 @@ const THEME = {
 
 const uid = (p = "") => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}${p}`;
 
+// per-account localStorage keys (theme, wallet, drafts, ...)
+const userKey = (userId, k) => `${k}:${userId}`;
+
+// user text matched literally inside a RegExp (search terms, muted keywords)
+const escapeRegExp = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const b64 = {
+  encode: (buf) => {
+    const bytes = new Uint8Array(buf);
+    let bin = "";
+    // in chunks: spreading a few MB into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  },
+  decode: (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0)),
+};
+
+const blobToDataURL = async (blob) => `data:${blob.type || "application/octet-stream"};base64,${b64.encode(await blob.arrayBuffer())}`;
+
+const PBKDF2_ITERATIONS = 150000;
+
+// passphrases never get stored, only this salted PBKDF2-SHA-256 digest
+const hashPassphrase = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return b64.encode(bits);
+};
+
+const timeAgo = (t) => {
+  const mins = Math.round((Date.now() - t) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.round(mins / 60);
+  return hours < 24 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+};
+// timeAgo() inside a sentence: "just now", "5m ago"
+const timeAgoPhrase = (t) => {
+  const ago = timeAgo(t);
+  return ago === "just now" ? ago : `${ago} ago`;
+};
+
+/* -------------------- LOCAL STORE -------------------- */
+// Key/value persistence under MockService: IndexedDB when the browser allows it,
+// otherwise the LS helper (prefixed keys) so private windows still work.
+const Store = (() => {
+  const DB_NAME = "mindlink";
+  const BUCKET = "kv";
+  const LS_PREFIX = "ml_db_";
+  let opening = null;
+
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve) => {
+        try {
+          const req = indexedDB.open(DB_NAME, 1);
+          req.onupgradeneeded = () => req.result.createObjectStore(BUCKET);
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      });
+    }
+    return opening;
+  };
+
+  const run = (db, mode, op) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(BUCKET, mode);
+      const req = op(tx.objectStore(BUCKET));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+  return {
+    get: async (key, def) => {
+      const db = await open();
+      if (db) {
+        try {
+          const v = await run(db, "readonly", (s) => s.get(key));
+          return v === undefined ? def : v;
+        } catch {}
+      }
+      return LS.get(LS_PREFIX + key, def);
+    },
+    // throws when the write doesn't stick (usually the device is out of space), so nothing is lost quietly
+    set: async (key, value) => {
+      const db = await open();
+      try {
+        if (db) await run(db, "readwrite", (s) => s.put(value, key));
+        else localStorage.setItem(LS_PREFIX + key, JSON.stringify(value));
+      } catch (e) {
+        throw new Error(e?.name === "QuotaExceededError" ? "This device is out of storage space." : "Couldn't save on this device.");
+      }
+    },
+    remove: async (key) => {
+      const db = await open();
+      if (db) {
+        try {
+          await run(db, "readwrite", (s) => s.delete(key));
+        } catch {}
+      }
+      LS.remove(LS_PREFIX + key);
+    },
+    // whether values may hold Blobs (IndexedDB) or have to be JSON (localStorage fallback)
+    blobs: async () => !!(await open()),
+  };
+})();
+
 /* -------------------- MOCK SERVICE -------------------- */
+// Every stored collection. A migration that introduces a new one must add it here.
+const COLLECTIONS = ["users", "posts", "messages", "stories", "comments", "likes", "accounts", "follows", "saved", "collections", "communities", "memberships", "roomMessages", "transactions", "media", "notifications", "notificationPrefs", "blocks", "mutes", "filters", "reports", "revisions", "trash", "scheduled", "keys"];
+
+// MIGRATIONS[n] upgrades data from schema n to n + 1. Append only — never edit a
+// shipped migration, since existing installs have already run it.
+const MIGRATIONS = [
+  // 0 -> 1: first run, seed the demo network
+  (db) => ({
+    ...db,
+    users: [
+      { id: "u_you", username: "you", display: "You", avatar: "Y", premium: false },
+      { id: "u_ava", username: "ava", display: "Ava", avatar: "A", premium: true },
+      { id: "u_rui", username: "rui", display: "Rui", avatar: "R", premium: false },
+    ],
+    posts: [
+      {
+        id: "p1",
+        authorId: "u_ava",
+        content: "Micro-break coding: short sprints help focus — try 52/5.",
+        media: null,
+        mediaType: null,
+        likes: 8,
+        createdAt: Date.now() - 1000 * 60 * 45,
+        tags: ["productivity"],
+        comments: [], // {id, authorId, body, private}; moved out by the 3 -> 4 migration
+      },
+      {
+        id: "p2",
+        authorId: "u_rui",
+        content: "Community solar nodes — sketching the network architecture.",
+        media: null,
+        mediaType: null,
+        likes: 5,
+        createdAt: Date.now() - 1000 * 60 * 60 * 6,
+        tags: ["sustainability"],
+        comments: [],
+      },
+    ],
+    messages: [
+      { id: "m1", from: "u_ava", to: "u_you", body: "Loved your last idea.", createdAt: Date.now() - 1000 * 60 * 40 },
+    ],
+  }),
+  // 1 -> 2: read receipts
+  (db) => ({ ...db, messages: db.messages.map((m) => ({ readAt: null, ...m })) }),
+  // 2 -> 3: stories
+  (db) => ({ ...db, stories: [] }),
+  // 3 -> 4: comments move to their own collection with explicit visibility and threading
+  (db) => ({
+    ...db,
+    comments: db.posts.flatMap((p) =>
+      (p.comments || []).map((c) => ({
+        id: c.id,
+        postId: p.id,
+        authorId: c.authorId,
+        body: c.body,
+        visibility: c.private ? "private" : "public",
+        parentId: null,
+        likedBy: [],
+        createdAt: c.createdAt || p.createdAt,
+      }))
+    ),
+    posts: db.posts.map(({ comments, ...p }) => p),
+  }),
+  // 4 -> 5: likes become a (postId, userId) relation; the old anonymous counters can't be attributed, so they go
+  (db) => ({ ...db, likes: [], posts: db.posts.map(({ likes, ...p }) => p) }),
+  // 5 -> 6: local accounts; everyone who exists so far is a passphrase-less demo account
+  (db) => ({ ...db, accounts: [], users: db.users.map((u) => ({ demo: true, ...u })) }),
+  // 6 -> 7: profiles and the follow graph
+  (db) => ({ ...db, follows: [], users: db.users.map((u) => ({ bio: "", headerColor: PROFILE_COLORS[0], ...u })) }),
+  // 7 -> 8: saved posts and named collections
+  (db) => ({ ...db, saved: [], collections: [] }),
+  // 8 -> 9: communities, with two starter rooms
+  (db) => {
+    const now = Date.now();
+    const rooms = [
+      { id: "c_deepwork", slug: "deep-work", name: "Deep Work", description: "Focus rituals, timers and long sessions.", rules: ["Be kind.", "No self-promo without context."], ownerId: "u_ava", createdAt: now },
+      { id: "c_solar", slug: "solar-builders", name: "Solar Builders", description: "Community energy, hardware and maps.", rules: ["Share sources.", "Stay on topic."], ownerId: "u_rui", createdAt: now },
+    ].filter((c) => db.users.some((u) => u.id === c.ownerId));
+    return {
+      ...db,
+      communities: rooms,
+      memberships: rooms.map((c) => ({ communityId: c.id, userId: c.ownerId, role: "owner", joinedAt: now })),
+      roomMessages: [],
+    };
+  },
+  // 9 -> 10: the wallet ledger; premium is now an entitlement bought through it, so the flag goes and
+  // anyone who already had it gets a free year
+  (db) => {
+    const now = Date.now();
+    return {
+      ...db,
+      transactions: db.users
+        .filter((u) => u.premium)
+        .map((u) => ({ id: uid("t"), userId: u.id, type: "purchase", amount: 0, planId: "founder", days: 365, note: "Founding member", createdAt: now })),
+      users: db.users.map(({ premium, ...u }) => u),
+    };
+  },
+  // 10 -> 11: reposts and quotes are posts too; everything so far is an ordinary post
+  (db) => ({ ...db, posts: db.posts.map((p) => ({ kind: "post", originalId: null, ...p })) }),
+  // 11 -> 12: the single inline data-URL `media` moves out of the post into its own record; posts
+  // list attachments by id instead
+  async (db) => {
+    const media = [];
+    const posts = [];
+    for (const { media: src, mediaType, ...p } of db.posts) {
+      const attachments = [];
+      if (src) {
+        const id = uid("m");
+        const kind = MEDIA_KINDS.includes(mediaType) ? mediaType : "file";
+        await Store.set(`media:${id}`, { blob: src, thumb: null, poster: null });
+        media.push({ id, ownerId: p.authorId, kind, type: src.slice(5, src.indexOf(";")), size: src.length, width: null, height: null, duration: null, createdAt: p.createdAt });
+        attachments.push({ id, kind, width: null, height: null });
+      }
+      posts.push({ ...p, attachments });
+    }
+    return { ...db, media, posts };
+  },
+  // 12 -> 13: notifications, and which kinds each user has muted
+  (db) => ({ ...db, notifications: [], notificationPrefs: [] }),
+  // 13 -> 14: blocks, mutes, keyword/tag filters and reports; the demo network gets an admin to review them
+  (db) => ({ ...db, blocks: [], mutes: [], filters: [], reports: [], users: db.users.map((u) => (u.id === "u_ava" ? { ...u, admin: true } : u)) }),
+  // 14 -> 15: rich text; inline #tags join the post's tags and @mentions are resolved to user ids
+  (db) => ({
+    ...db,
+    posts: db.posts.map((p) => ({
+      ...p,
+      tags: [...new Set([...(p.tags || []).map(normalizeTag), ...hashtagsIn(p.content)])].filter(Boolean),
+      mentions: mentionsIn(p.content).flatMap((name) => db.users.filter((u) => u.username === name).map((u) => u.id)),
+    })),
+  }),
+  // 15 -> 16: earlier versions of edited posts, deleted posts kept for undo, and posts waiting to go out
+  (db) => ({ ...db, revisions: [], trash: [], scheduled: [] }),
+  // 16 -> 17: public keys for end-to-end encrypted messages. Messages sent before this keep their
+  // plaintext body and are shown as unencrypted.
+  (db) => ({ ...db, keys: [] }),
+  // 17 -> 18: story images and audio move out of the stories collection into media, like post attachments
+  async (db) => {
+    const media = [...db.media];
+    const stories = [];
+    for (const { media: src, ...s } of db.stories) {
+      if (!src) {
+        stories.push({ ...s, mediaId: null });
+        continue;
+      }
+      const id = uid("m");
+      await Store.set(`media:${id}`, { blob: src, thumb: null, poster: null });
+      media.push({ id, ownerId: s.authorId, kind: s.kind, type: src.slice(5, src.indexOf(";")), size: src.length, width: null, height: null, duration: null, createdAt: s.createdAt });
+      stories.push({ ...s, mediaId: id });
+    }
+    return { ...db, media, stories };
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+const STORY_TTL_MS = 1000 * 60 * 60 * 24;
+const COMMUNITY_ROLES = ["owner", "moderator", "member"];
+const PROFILE_COLORS = ["#7c3aed", "#ff007a", "#00c27a", "#0ea5e9", "#f59e0b", "#334155"];
+const STORY_KINDS = ["image", "audio", "text"];
+// post.kind; reposts and quotes point at the post they share through originalId
+const POST_KINDS = ["post", "repost", "quote"];
+// attachments; "file" only exists for media carried over from before the pipeline
+const MEDIA_KINDS = ["image", "video", "audio"];
+const MEDIA_LIMITS = { image: 20 * 1024 * 1024, video: 40 * 1024 * 1024, audio: 15 * 1024 * 1024 };
+const MAX_ATTACHMENTS = 4;
+const POST_PAGE_SIZE = 20;
+// a ranked list orders this many of the newest posts together, then goes on a page at a time
+const RANK_CANDIDATES = 200;
+// scheduled posts go out between a minute and a year from when they're scheduled
+const SCHEDULE_MIN_MS = 1000 * 60;
+const SCHEDULE_MAX_MS = 1000 * 60 * 60 * 24 * 365;
+// how long a deleted post can still be restored; the "Undo" toast stays up as long
+const UNDO_MS = 8000;
+// notification.type; "reply" is a reply to your comment, "comment" one on your post, "mention" an @you in a post
+const NOTIFICATION_TYPES = ["like", "comment", "reply", "follow", "message", "mention"];
+const REPORT_KINDS = ["post", "comment", "user"];
+const REPORT_REASONS = { spam: "Spam", harassment: "Harassment or bullying", misinformation: "Misinformation", other: "Something else" };
+// "removed" takes the post or comment down; users can only be dismissed or marked resolved
+const REPORT_OUTCOMES = ["removed", "resolved", "dismissed"];
+const MAX_FILTERS = 50;
+const MAX_MENTIONS = 10;
+
+// Money is kept in integer cents. Premium is time-limited: plans stack, and a refund takes its days back.
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PREMIUM_PLANS = [
+  { id: "week", label: "7 days", price: 200, days: 7 },
+  { id: "month", label: "30 days", price: 500, days: 30 },
+];
+const REFUND_WINDOW_MS = DAY_MS * 2;
+const MAX_TOPUP = 50000;
+// what premium unlocks
+const POST_LIMITS = { free: 500, premium: 2000 };
+const PREMIUM_COLORS = ["#111827", "#be185d", "#0f766e", "#a16207"];
+const TIP_AMOUNTS = [100, 200, 500];
+const formatMoney = (cents) => `${cents < 0 ? "-" : ""}$${(Math.abs(cents) / 100).toFixed(2)}`;
+
+// fetchPosts filter: { authorId?, communityId?, tag?, following?, ids? }. `following` needs the ids the
+// viewer follows; `ids` also matches a post by the clientId it was created with.
+const postMatches = (p, filter, followingIds = null) =>
+  (!filter.authorId || p.authorId === filter.authorId) &&
+  (!filter.communityId || p.communityId === filter.communityId) &&
+  (!filter.tag || (p.tags || []).some((t) => normalizeTag(t) === normalizeTag(filter.tag))) &&
+  (!filter.following || !!followingIds?.has(p.authorId)) &&
+  (!filter.text || filter.text.toLowerCase().split(/\s+/).filter(Boolean).some((w) => `${p.content} ${(p.tags || []).join(" ")}`.toLowerCase().includes(w.replace(/^#/, "")))) &&
+  (!filter.ids || filter.ids.includes(p.id) || (!!p.clientId && filter.ids.includes(p.clientId)));
+
+// Post text is plain text with a little markup: `code`, **bold**, *italic* / _italic_, http(s) and www.
+// links, @username and #tag. parseRichText() turns it into segments
+//   { type: "text" | "code", text } | { type: "bold" | "italic", children } | { type: "link", text, href }
+//   | { type: "mention", text, username } | { type: "tag", text, tag }
+// Nothing inside code is parsed, and a URL's #fragment is not a tag.
+const RICH_TOKEN = new RegExp(
+  [
+    "`([^`\\n]+)`",
+    "\\*\\*([^*\\n]+?)\\*\\*",
+    "(?<![\\w*])\\*([^*\\s][^*\\n]*?)\\*(?![\\w*])",
+    "(?<!\\w)_([^_\\s][^_\\n]*?)_(?!\\w)",
+    "(?<![\\w/])((?:https?:\\/\\/|www\\.)[^\\s<>\"'`]+)",
+    "(?<![\\w@/])@([a-z0-9_]{3,20})(?![\\w@])",
+    "(?<![\\w&#/])#([a-z0-9_]*[a-z_][a-z0-9_]*)",
+  ].join("|"),
+  "gi"
+);
+
+// only http(s) ever becomes a link; -> normalised href or null
+const safeUrl = (raw) => {
+  try {
+    const url = new URL(/^www\./i.test(raw) ? `https://${raw}` : raw);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// "see example.com/a)." -> the link stops before the ")." unless the URL opened a bracket itself
+const trimUrl = (raw) => {
+  let url = raw.replace(/[.,;:!?'"]+$/, "");
+  while (url.endsWith(")") && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) url = url.slice(0, -1).replace(/[.,;:!?]+$/, "");
+  return url;
+};
+
+const parseRichText = (text, depth = 0) => {
+  const segments = [];
+  const push = (seg) => {
+    const last = segments[segments.length - 1];
+    if (seg.type === "text" && last?.type === "text") last.text += seg.text;
+    else if (seg.type !== "text" || seg.text) segments.push(seg);
+  };
+  const source = text || "";
+  let at = 0;
+  for (const m of source.matchAll(RICH_TOKEN)) {
+    const [whole, code, bold, star, under, url, username, tag] = m;
+    let seg;
+    let len = whole.length;
+    if (code !== undefined) seg = { type: "code", text: code };
+    else if ((bold ?? star ?? under) !== undefined && depth < 2) seg = { type: bold !== undefined ? "bold" : "italic", children: parseRichText(bold ?? star ?? under, depth + 1) };
+    else if (url !== undefined) {
+      const trimmed = trimUrl(url);
+      const href = safeUrl(trimmed);
+      len = trimmed.length;
+      seg = href ? { type: "link", text: trimmed, href } : { type: "text", text: trimmed };
+    } else if (username !== undefined) seg = { type: "mention", text: whole, username: username.toLowerCase() };
+    else if (tag !== undefined) seg = { type: "tag", text: whole, tag: tag.toLowerCase() };
+    else seg = { type: "text", text: whole };
+    push({ type: "text", text: source.slice(at, m.index) });
+    push(seg);
+    at = m.index + len;
+  }
+  push({ type: "text", text: source.slice(at) });
+  return segments;
+};
+
+const richSegmentsOf = (segments, type) => segments.flatMap((s) => (s.type === type ? [s] : s.children ? richSegmentsOf(s.children, type) : []));
+// usernames / tags written inline, in order, without repeats
+const mentionsIn = (text) => [...new Set(richSegmentsOf(parseRichText(text), "mention").map((s) => s.username))];
+const hashtagsIn = (text) => [...new Set(richSegmentsOf(parseRichText(text), "tag").map((s) => s.tag))];
+const linksIn = (text) => [...new Set(richSegmentsOf(parseRichText(text), "link").map((s) => s.href))];
+
+// Newest first, ties broken by id, so a cursor ("createdAt:id" of the last post seen) always falls
+// between two posts and pages never overlap or skip, even with posts arriving meanwhile.
+const byRecency = (a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+const postCursor = (p) => `${p.createdAt}:${p.id}`;
+const readCursor = (cursor) => {
+  const i = cursor.indexOf(":");
+  return { createdAt: Number(cursor.slice(0, i)), id: cursor.slice(i + 1) };
+};
+
 const MockService = (() => {
-  let users = [
-    { id: "u_you", username: "you", display: "You", avatar: "Y", premium: false },
-    { id: "u_ava", username: "ava", display: "Ava", avatar: "A", premium: true },
-    { id: "u_rui", username: "rui", display: "Rui", avatar: "R", premium: false },
-  ];
+  let db = Object.fromEntries(COLLECTIONS.map((k) => [k, []]));
+
+  // load everything once, run pending migrations, then write the result back
+  const ready = (async () => {
+    const version = await Store.get("schema", 0);
+    for (const k of COLLECTIONS) db[k] = await Store.get(k, []);
+    if (version >= SCHEMA_VERSION) return;
+    for (let v = version; v < SCHEMA_VERSION; v++) db = await MIGRATIONS[v](db);
+    await Promise.all(COLLECTIONS.map((k) => Store.set(k, db[k])));
+    await Store.set("schema", SCHEMA_VERSION);
+  })();
+
+  // keys written since the last emit; other tabs reload exactly these before replaying the event
+  let dirty = new Set();
+  const persist = (...keys) => {
+    keys.forEach((k) => dirty.add(k));
+    return Promise.all(keys.map((k) => Store.set(k, db[k])));
+  };
+
+  // A block works both ways and also stops any contact; a mute only hides things from whoever muted.
+  const blockedBetween = (a, b) => db.blocks.some((x) => (x.userId === a && x.targetId === b) || (x.userId === b && x.targetId === a));
+  // -> { users, posts }: what viewerId shouldn't be shown
+  const hiddenFor = (viewerId) => {
+    const users = new Set();
+    for (const x of db.blocks) {
+      if (x.userId === viewerId) users.add(x.targetId);
+      if (x.targetId === viewerId) users.add(x.userId);
+    }
+    const posts = new Set();
+    for (const m of db.mutes) if (m.userId === viewerId) (m.kind === "user" ? users : posts).add(m.targetId);
+    return { users, posts };
+  };
+  // reposts go with what they share
+  const shownTo = (p, hidden) => {
+    if (hidden.users.has(p.authorId) || hidden.posts.has(p.id)) return false;
+    if (p.kind !== "repost") return true;
+    const original = db.posts.find((x) => x.id === p.originalId);
+    return !original || (!hidden.users.has(original.authorId) && !hidden.posts.has(original.id));
+  };
+  const setMute = async (userId, kind, targetId, muted) => {
+    const has = db.mutes.some((m) => m.userId === userId && m.kind === kind && m.targetId === targetId);
+    if (has === muted) return true;
+    db.mutes = muted ? [...db.mutes, { userId, kind, targetId, createdAt: Date.now() }] : db.mutes.filter((m) => !(m.userId === userId && m.kind === kind && m.targetId === targetId));
+    await persist("mutes");
+    emit({ type: "safety", userIds: [userId] });
+    return true;
+  };
+  const isAdmin = (userId) => !!db.users.find((u) => u.id === userId)?.admin;
+  // admins see every report; room owners and moderators the ones about their room
+  const canReview = (userId, report) => isAdmin(userId) || (!!report.communityId && ["owner", "moderator"].includes(roleOf(userId, report.communityId)));
+
+  // ids of the media any post, trashed post, scheduled one or story points at
+  const mediaInUse = () =>
+    new Set([
+      ...[...db.posts, ...db.trash, ...db.scheduled.map((x) => x.post)].flatMap((p) => (p.attachments || []).map((a) => a.id ?? a)),
+      ...db.stories.map((s) => s.mediaId).filter(Boolean),
+    ]);
+  // deletes those of ids nothing points at any more; the caller persists "media"
+  const dropUnusedMedia = async (ids) => {
+    const used = mediaInUse();
+    const unused = ids.filter((id) => !used.has(id));
+    db.media = db.media.filter((m) => !unused.includes(m.id));
+    for (const id of unused) {
+      mediaUrls.delete(id);
+      await Store.remove(`media:${id}`);
+    }
+  };
+  // Takes a post down for good, from the feed or the trash, with what hangs off it: reposts of it,
+  // comments, likes, revisions, notifications and its media. Quotes stay and show the original as gone.
+  // Saved copies go too when moderators removed it; otherwise they're the saver's tombstone.
+  // -> the notifications dropped, for notified()
+  const purgePost = async (postId, { keepSaved = false } = {}) => {
+    const all = [...db.posts, ...db.trash];
+    const post = all.find((p) => p.id === postId);
+    const ids = new Set([postId, ...all.filter((p) => p.kind === "repost" && p.originalId === postId).map((p) => p.id)]);
+    const dropped = db.notifications.filter((n) => ids.has(n.postId));
+    db.posts = db.posts.filter((p) => !ids.has(p.id));
+    db.trash = db.trash.filter((p) => !ids.has(p.id));
+    db.revisions = db.revisions.filter((r) => !ids.has(r.postId));
+    db.comments = db.comments.filter((c) => !ids.has(c.postId));
+    db.likes = db.likes.filter((l) => !ids.has(l.postId));
+    db.notifications = db.notifications.filter((n) => !ids.has(n.postId));
+    if (!keepSaved) db.saved = db.saved.filter((x) => !ids.has(x.postId));
+    // media another post or a scheduled one still uses stays
+    await dropUnusedMedia((post?.attachments || []).map((a) => a.id));
+    return dropped;
+  };
+  // deleted posts past their undo window go for good; runs after loading and with every delete
+  const emptyTrash = async () => {
+    const expired = db.trash.filter((p) => p.deletedAt + UNDO_MS <= Date.now());
+    if (!expired.length) return;
+    const dropped = [];
+    for (const p of expired) dropped.push(...(await purgePost(p.id, { keepSaved: true })));
+    await persist("posts", "trash", "revisions", "comments", "likes", "notifications", "media");
+    notified(...dropped);
+  };
+  ready.then(emptyTrash).catch(() => {}); // a failure here is retried by the next delete
+  // a comment and every reply under it, however deep; -> the notifications dropped
+  const purgeComment = (commentId) => {
+    const ids = new Set([commentId]);
+    for (let grew = true; grew; ) {
+      grew = false;
+      for (const c of db.comments) if (c.parentId && ids.has(c.parentId) && !ids.has(c.id)) grew = !!ids.add(c.id);
+    }
+    const dropped = db.notifications.filter((n) => n.commentId && ids.has(n.commentId));
+    db.comments = db.comments.filter((c) => !ids.has(c.id));
+    db.notifications = db.notifications.filter((n) => !n.commentId || !ids.has(n.commentId));
+    return dropped;
+  };
+
+  // private notes are only ever returned to the person who wrote them
+  const visibleComments = (postId, viewerId, hidden = hiddenFor(viewerId)) =>
+    db.comments
+      .filter((c) => c.postId === postId && (c.visibility === "public" || c.authorId === viewerId) && !hidden.users.has(c.authorId))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+  // stored posts -> what a given viewer gets back: counts, their own like/save/repost state, visible
+  // comments, and for reposts and quotes the post they share (one level deep; null once it's gone)
+  const decorate = (list, viewerId, withOriginal = true) => {
+    const counts = new Map();
+    const liked = new Set();
+    for (const l of db.likes) {
+      counts.set(l.postId, (counts.get(l.postId) || 0) + 1);
+      if (l.userId === viewerId) liked.add(l.postId);
+    }
+    const reposts = new Map();
+    const quotes = new Map();
+    const reposted = new Set();
+    for (const p of db.posts) {
+      if (p.kind === "repost") {
+        reposts.set(p.originalId, (reposts.get(p.originalId) || 0) + 1);
+        if (p.authorId === viewerId) reposted.add(p.originalId);
+      } else if (p.kind === "quote") quotes.set(p.originalId, (quotes.get(p.originalId) || 0) + 1);
+    }
+    const saved = new Set(db.saved.filter((x) => x.userId === viewerId).map((x) => x.postId));
+    const hidden = hiddenFor(viewerId);
+    return list.map((p) => {
+      const out = {
+        ...p,
+        likes: counts.get(p.id) || 0,
+        likedByMe: liked.has(p.id),
+        savedByMe: saved.has(p.id),
+        reposts: reposts.get(p.id) || 0,
+        quotes: quotes.get(p.id) || 0,
+        repostedByMe: reposted.has(p.id),
+        comments: visibleComments(p.id, viewerId, hidden),
+      };
+      if (withOriginal && p.originalId) {
+        const original = db.posts.find((x) => x.id === p.originalId);
+        out.original = original && !hidden.users.has(original.authorId) ? decorate([original], viewerId, false)[0] : null;
+      }
+      return out;
+    });
+  };
+
+  // reposting or quoting a repost shares what it points at
+  const shareable = (postId) => {
+    const post = db.posts.find((p) => p.id === postId);
+    if (!post) throw new Error("Post not found.");
+    if (post.kind !== "repost") return post;
+    const original = db.posts.find((p) => p.id === post.originalId);
+    if (!original) throw new Error("The original post is gone.");
+    return original;
+  };
+
+  const ownCollection = (userId, collectionId) => {
+    const c = db.collections.find((x) => x.id === collectionId && x.userId === userId);
+    if (!c) throw new Error("Collection not found.");
+    return c;
+  };
+
+  const checkCollectionName = (userId, name, exceptId = null) => {
+    const clean = (name || "").trim().slice(0, 40);
+    if (!clean) throw new Error("Give the collection a name.");
+    if (db.collections.some((c) => c.userId === userId && c.id !== exceptId && c.name.toLowerCase() === clean.toLowerCase())) throw new Error("You already have a collection with that name.");
+    return clean;
+  };
+
+  const roleOf = (userId, communityId) => db.memberships.find((m) => m.userId === userId && m.communityId === communityId)?.role || null;
+
+  const roomOrThrow = (communityId) => {
+    const c = db.communities.find((x) => x.id === communityId);
+    if (!c) throw new Error("Community not found.");
+    return c;
+  };
+
+  const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 32) || "room";
+
+  const cleanRules = (rules) => (rules || []).map((r) => r.trim()).filter(Boolean).slice(0, 10);
+
+  // Media bytes sit under their own "media:<id>" keys and are only read when something shows them;
+  // db.media is just the metadata. Without IndexedDB the Blobs are kept as data URLs.
+  const toUrl = (v) => (v == null ? null : typeof v === "string" ? v : URL.createObjectURL(v));
+  const mediaUrls = new Map(); // id -> Promise<{ url, thumbUrl, posterUrl }>, so each Blob gets one object URL
+
+  // balances and entitlements are never stored, only derived from the ledger
+  const balanceOf = (userId) => db.transactions.reduce((sum, t) => (t.userId === userId ? sum + t.amount : sum), 0);
+
+  const refunded = (txnId) => db.transactions.some((t) => t.refundOf === txnId);
+
+  // each purchase starts when it was bought or when the previous one runs out, whichever is later
+  const premiumUntil = (userId) =>
+    db.transactions
+      .filter((t) => t.userId === userId && t.type === "purchase" && !refunded(t.id))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .reduce((until, t) => Math.max(until, t.createdAt) + t.days * DAY_MS, 0);
+
+  const withPremium = (u) => {
+    const until = premiumUntil(u.id);
+    return { ...u, premium: until > Date.now(), premiumUntil: until || null };
+  };
+
+  const record = (entry) => {
+    const t = { id: uid("t"), createdAt: Date.now(), ...entry };
+    db.transactions = [...db.transactions, t];
+    return t;
+  };
+
+  // Notifications are written next to whatever caused them, unless it was the recipient's own doing
+  // or they've muted that type. Callers persist "notifications" and emit notified() with their event.
+  const mutedTypes = (userId) => db.notificationPrefs.find((p) => p.userId === userId)?.muted || [];
+  const notifyUser = (userId, type, actorId, target = {}) => {
+    if (!userId || userId === actorId || mutedTypes(userId).includes(type) || hiddenFor(userId).users.has(actorId)) return null;
+    const n = { id: uid("n"), userId, type, actorId, postId: null, partnerId: null, ...target, createdAt: Date.now(), readAt: null };
+    db.notifications = [...db.notifications, n];
+    return n;
+  };
+  const notified = (...list) => {
+    const userIds = [...new Set(list.filter(Boolean).map((n) => n.userId))];
+    if (userIds.length) emit({ type: "notification", userIds });
+  };
+
+  // the tags and mentioned user ids a post's text carries, on top of any tags given alongside it
+  const richFields = (content, tags = []) => {
+    const names = mentionsIn(content);
+    if (names.length > MAX_MENTIONS) throw new Error(`Up to ${MAX_MENTIONS} mentions per post.`);
+    return {
+      tags: [...new Set([...tags.map(normalizeTag), ...hashtagsIn(content)])].filter(Boolean),
+      mentions: names.flatMap((name) => db.users.filter((u) => u.username === name).map((u) => u.id)),
+    };
+  };
+  const notifyMentioned = (post) => post.mentions.map((id) => notifyUser(id, "mention", post.authorId, { postId: post.id }));
+
+  const checkLength = (userId, content) => {
+    const author = db.users.find((u) => u.id === userId);
+    const limit = author && withPremium(author).premium ? POST_LIMITS.premium : POST_LIMITS.free;
+    if (content.length > limit) throw new Error(`Posts are limited to ${limit} characters${limit === POST_LIMITS.free ? " (Premium raises it)" : ""}.`);
+  };
+  // createPost() input -> the record it would store, minus id and createdAt; throws if it can't be posted
+  const preparePost = (p) => {
+    if (p.communityId) {
+      roomOrThrow(p.communityId);
+      if (!roleOf(p.authorId, p.communityId)) throw new Error("Join the community to post in it.");
+    }
+    checkLength(p.authorId, p.content || "");
+    const ids = p.attachments || [];
+    if (ids.length > MAX_ATTACHMENTS) throw new Error(`Up to ${MAX_ATTACHMENTS} attachments per post.`);
+    const attachments = ids.map((id) => db.media.find((m) => m.id === id && m.ownerId === p.authorId));
+    if (attachments.some((m) => !m)) throw new Error("Attachment not found.");
+    if (!(p.content || "").trim() && !attachments.length) throw new Error("Write something or attach media.");
+    const { media, mediaType, ...fields } = p;
+    return {
+      ...fields,
+      ...richFields(p.content, p.tags),
+      kind: "post",
+      originalId: null,
+      attachments: attachments.map(({ id, kind, width, height }) => ({ id, kind, width, height })),
+      communityId: p.communityId || null,
+      clientId: p.clientId || null,
+    };
+  };
+  const insertPost = async (fields) => {
+    const post = { ...fields, id: uid("p"), createdAt: Date.now() };
+    db.posts = [post, ...db.posts];
+    const mentioned = notifyMentioned(post);
+    await persist("posts", "notifications");
+    emit({ type: "post", postId: post.id, authorId: post.authorId });
+    notified(...mentioned);
+    return post;
+  };
+
+  const cents = (amount) => {
+    if (!Number.isInteger(amount) || amount <= 0) throw new Error("Amounts must be a positive number of cents.");
+    return amount;
+  };
+
+  // Events reach listeners in this tab directly and other open tabs through a BroadcastChannel. Room
+  // chat has to be real time, and on the mock the other person in a room is another tab (another
+  // account signed in there) holding its own copy of db; so an event carries the keys written since
+  // the last one and that tab reloads them before passing it on. Feeds and messages get the same for free.
+  const listeners = new Set();
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("mindlink") : null;
+  const notify = (event) => listeners.forEach((fn) => fn(event));
+  const emit = (event) => {
+    const keys = [...dirty];
+    dirty = new Set();
+    notify(event);
+    channel?.postMessage({ event, keys });
+  };
+  if (channel) {
+    channel.onmessage = async ({ data }) => {
+      await ready;
+      for (const k of data.keys) db[k] = await Store.get(k, db[k]);
+      notify(data.event);
+    };
+  }
 
-  let posts = [
-    {
-      id: "p1",
-      authorId: "u_ava",
-      content: "Micro-break coding: short sprints help focus — try 52/5.",
-      media: null,
-      mediaType: null,
-      likes: 8,
-      createdAt: Date.now() - 1000 * 60 * 45,
-      tags: ["productivity"],
-      comments: [], // {id, authorId, body, private}
-    },
-    {
-      id: "p2",
-      authorId: "u_rui",
-      content: "Community solar nodes — sketching the network architecture.",
-      media: null,
-      mediaType: null,
-      likes: 5,
-      createdAt: Date.now() - 1000 * 60 * 60 * 6,
-      tags: ["sustainability"],
-      comments: [],
+  return {
+    // { viewerId, cursor?, limit?, filter?, newerThan? } -> { posts, nextCursor, total }, newest first.
+    // Pass nextCursor back for the next page (null: that was the last); newerThan instead returns what
+    // has arrived above a cursor. Leaves out what viewerId blocked or muted (and anyone who blocked them).
+    fetchPosts: async ({ viewerId, cursor = null, limit = null, filter = {}, newerThan = null }) => {
+      await ready;
+      const hidden = hiddenFor(viewerId);
+      const following = filter.following ? new Set(db.follows.filter((f) => f.followerId === viewerId).map((f) => f.followeeId)) : null;
+      const all = db.posts.filter((p) => shownTo(p, hidden) && postMatches(p, filter, following)).sort(byRecency);
+      let list = all;
+      if (newerThan) list = list.filter((p) => byRecency(p, readCursor(newerThan)) < 0);
+      if (cursor) list = list.filter((p) => byRecency(p, readCursor(cursor)) > 0);
+      const page = limit ? list.slice(0, limit) : list;
+      return { posts: decorate(page, viewerId), nextCursor: limit && list.length > limit ? postCursor(page[page.length - 1]) : null, total: all.length };
     },
-  ];
+    // clientId (optional) makes retries safe: a second call with the same one returns the first post
+    createPost: async (p) => {
+      await ready;
+      const replayed = p.clientId && db.posts.find((x) => x.clientId === p.clientId && x.authorId === p.authorId);
+      if (replayed) return decorate([replayed], p.authorId)[0];
+      const post = await insertPost(preparePost(p));
+      return decorate([post], p.authorId)[0];
+    },
+    // Only the author can edit, and only what they wrote: the text and its tags. The version being
+    // replaced goes to revisions; anyone newly @mentioned hears about it.
+    editPost: async (userId, postId, { content, tags = null }) => {
+      await ready;
+      const post = db.posts.find((p) => p.id === postId);
+      if (!post) throw new Error("Post not found.");
+      if (post.authorId !== userId) throw new Error("You can only edit your own posts.");
+      if (post.kind === "repost") throw new Error("Reposts can't be edited.");
+      const text = (content || "").trim();
+      checkLength(userId, text);
+      if (!text && !post.attachments?.length) throw new Error("Write something or attach media.");
+      const inline = hashtagsIn(post.content);
+      const rich = richFields(text, tags ?? (post.tags || []).filter((t) => !inline.includes(t)));
+      if (text === post.content && rich.tags.join() === (post.tags || []).join()) return decorate([post], userId)[0];
+      const now = Date.now();
+      db.revisions = [...db.revisions, { id: uid("r"), postId, content: post.content, tags: post.tags || [], createdAt: post.editedAt || post.createdAt, replacedAt: now }];
+      const edited = { ...post, ...rich, content: text, editedAt: now };
+      db.posts = db.posts.map((p) => (p.id === postId ? edited : p));
+      const mentioned = rich.mentions.filter((id) => !(post.mentions || []).includes(id)).map((id) => notifyUser(id, "mention", userId, { postId }));
+      await persist("posts", "revisions", "notifications");
+      emit({ type: "post_updated", postId, authorId: userId });
+      notified(...mentioned);
+      return decorate([edited], userId)[0];
+    },
+    // every version of a post, oldest first, ending with the current one: [{ content, tags, createdAt }]
+    fetchRevisions: async (postId, viewerId) => {
+      await ready;
+      const post = db.posts.find((p) => p.id === postId && !blockedBetween(p.authorId, viewerId));
+      if (!post) throw new Error("Post not found.");
+      return [
+        ...db.revisions.filter((r) => r.postId === postId).sort((a, b) => a.createdAt - b.createdAt).map(({ content, tags, createdAt }) => ({ content, tags, createdAt })),
+        { content: post.content, tags: post.tags || [], createdAt: post.editedAt || post.createdAt },
+      ];
+    },
+    // A deleted post moves to the trash with its likes, comments and revisions left in place, so
+    // restorePost() can put it back exactly where it was. Everything else treats it as gone.
+    deletePost: async (userId, postId) => {
+      await ready;
+      await emptyTrash();
+      const post = db.posts.find((p) => p.id === postId);
+      if (!post) throw new Error("Post not found.");
+      if (post.authorId !== userId) throw new Error("You can only delete your own posts.");
+      db.posts = db.posts.filter((p) => p.id !== postId);
+      db.trash = [...db.trash, { ...post, deletedAt: Date.now() }];
+      await persist("posts", "trash");
+      emit({ type: "post_updated", postId, authorId: userId });
+      return true;
+    },
+    restorePost: async (userId, postId) => {
+      await ready;
+      const trashed = db.trash.find((p) => p.id === postId && p.authorId === userId && p.deletedAt + UNDO_MS > Date.now());
+      if (!trashed) throw new Error("Post not found.");
+      const { deletedAt, ...post } = trashed;
+      db.trash = db.trash.filter((p) => p.id !== postId);
+      db.posts = [post, ...db.posts];
+      await persist("posts", "trash");
+      emit({ type: "post_updated", postId, authorId: userId });
+      return decorate([post], userId)[0];
+    },
+    // A post (as for createPost) held back until publishAt. Checked now so mistakes show up while
+    // you're still there, and again when it goes out.
+    schedulePost: async (p, publishAt) => {
+      await ready;
+      const now = Date.now();
+      if (!Number.isFinite(publishAt) || publishAt < now + SCHEDULE_MIN_MS) throw new Error("Pick a time at least a minute from now.");
+      if (publishAt > now + SCHEDULE_MAX_MS) throw new Error("Posts can be scheduled up to a year ahead.");
+      preparePost(p);
+      const entry = { id: uid("s"), authorId: p.authorId, post: p, publishAt, createdAt: now, error: null };
+      db.scheduled = [...db.scheduled, entry];
+      await persist("scheduled");
+      emit({ type: "scheduled", userIds: [p.authorId] });
+      return entry;
+    },
+    // soonest first, including any that failed to go out (with an error saying why)
+    fetchScheduled: async (userId) => {
+      await ready;
+      return db.scheduled.filter((x) => x.authorId === userId).sort((a, b) => a.publishAt - b.publishAt);
+    },
+    // -> the entry taken off the schedule, so its post can go back into the composer; media it
+    // was the only one using is deleted
+    cancelScheduled: async (userId, scheduledId) => {
+      await ready;
+      const entry = db.scheduled.find((x) => x.id === scheduledId && x.authorId === userId);
+      if (!entry) throw new Error("Scheduled post not found.");
+      db.scheduled = db.scheduled.filter((x) => x.id !== scheduledId);
+      await dropUnusedMedia((entry.post.attachments || []).map((a) => a.id ?? a));
+      await persist("scheduled", "media");
+      emit({ type: "scheduled", userIds: [userId] });
+      return entry;
+    },
+    // Publishes whatever of this user's has come due by the service's own clock; the app calls it on a
+    // timer while they're signed in. One that can't go out any more (left the room, deleted the media)
+    // stays on the schedule with the error. -> { published, nextAt } where nextAt is their next one due, or null.
+    publishDue: async (userId) => {
+      await ready;
+      db.scheduled = await Store.get("scheduled", db.scheduled); // another tab may have just published
+      const now = Date.now();
+      const published = [];
+      const userIds = new Set();
+      for (const entry of db.scheduled.filter((x) => x.authorId === userId && x.publishAt <= now && !x.error)) {
+        db.scheduled = db.scheduled.filter((x) => x.id !== entry.id);
+        try {
+          published.push(await insertPost(preparePost(entry.post)));
+        } catch (e) {
+          db.scheduled = [...db.scheduled, { ...entry, error: e.message }];
+        }
+        userIds.add(entry.authorId);
+        await persist("scheduled");
+      }
+      if (userIds.size) emit({ type: "scheduled", userIds: [...userIds] });
+      const next = db.scheduled.filter((x) => x.authorId === userId && !x.error).sort((a, b) => a.publishAt - b.publishAt)[0];
+      return { published: published.map((p) => p.id), nextAt: next?.publishAt ?? null };
+    },
+    // a single post for permalinks; null if it doesn't exist
+    fetchPost: async (postId, viewerId) => {
+      await ready;
+      // a muted post still opens from its link; a blocked person's doesn't
+      const post = db.posts.find((p) => p.id === postId && !blockedBetween(p.authorId, viewerId));
+      return post ? decorate([post], viewerId)[0] : null;
+    },
+    // What a link in a post shows underneath it. Links into MindLink itself resolve to the post, person
+    // or tag; anything else only gets what the URL says about itself, so showing a preview never makes
+    // the viewer's browser contact a third party. A real backend can unfurl those server-side instead.
+    fetchLinkPreview: async (url, viewerId) => {
+      await ready;
+      const href = safeUrl(url);
+      if (!href) throw new Error("Only http(s) links have previews.");
+      const { host, pathname } = new URL(href);
+      const base = { url: href, host, title: host.replace(/^www\./, ""), description: decodeURIComponent(pathname) === "/" ? "" : decodeURIComponent(pathname), internal: false };
+      if (host !== globalThis.location?.host) return base;
+      const [, kind, key] = pathname.split("/").map(decodeURIComponent);
+      const hidden = hiddenFor(viewerId);
+      if (kind === "p") {
+        const post = db.posts.find((p) => p.id === key);
+        const author = post && db.users.find((u) => u.id === post.authorId);
+        if (post && author && shownTo(post, hidden)) return { ...base, internal: true, title: `${author.display} on MindLink`, description: (post.content || "").slice(0, 160) };
+      }
+      if (kind === "u") {
+        const user = db.users.find((u) => u.username === key);
+        if (user && !blockedBetween(user.id, viewerId)) return { ...base, internal: true, title: `${user.display} (@${user.username})`, description: user.bio || "" };
+      }
+      if (kind === "tag") {
+        const tag = normalizeTag(key || "");
+        const count = db.posts.filter((p) => (p.tags || []).includes(tag) && shownTo(p, hidden)).length;
+        if (tag) return { ...base, internal: true, title: `#${tag}`, description: `${count} post${count === 1 ? "" : "s"}` };
+      }
+      return base;
+    },
+    // tags starting with prefix, most used first: [{ tag, count }]
+    fetchTagSuggestions: async (prefix = "", limit = 6) => {
+      await ready;
+      const want = normalizeTag(prefix);
+      const counts = new Map();
+      for (const p of db.posts) for (const t of p.tags || []) if (t.startsWith(want)) counts.set(t, (counts.get(t) || 0) + 1);
+      return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1))
+        .slice(0, limit);
+    },
+    // Trending tags and people to follow, from everything the viewer can see of the last week rather
+    // than whatever pages they happen to have loaded. -> { tags: [{ tag, score, count }], people: [{ user, score, tag }] }
+    fetchTrends: async (viewerId, limit = 10) => {
+      await ready;
+      const now = Date.now();
+      const hidden = hiddenFor(viewerId);
+      const recent = decorate(db.posts.filter((p) => now - p.createdAt <= TRENDING_WINDOW_MS && shownTo(p, hidden)), viewerId);
+      const followingIds = new Set(db.follows.filter((f) => f.followerId === viewerId).map((f) => f.followeeId));
+      return { tags: trendingTags(recent, now, limit), people: suggestPeople(recent, db.users.map(withPremium), { meId: viewerId, followingIds }, now, limit) };
+    },
+    // one repost per person per post; reposting again is a no-op
+    repost: async (userId, postId) => {
+      await ready;
+      const original = shareable(postId);
+      if (blockedBetween(userId, original.authorId)) throw new Error("You can't share this post.");
+      let post = db.posts.find((p) => p.kind === "repost" && p.authorId === userId && p.originalId === original.id);
+      if (!post) {
+        post = { id: uid("p"), kind: "repost", originalId: original.id, authorId: userId, content: "", tags: [], attachments: [], communityId: null, createdAt: Date.now() };
+        db.posts = [post, ...db.posts];
+        await persist("posts");
+        emit({ type: "repost", postId: original.id, userId });
+      }
+      return decorate([post], userId)[0];
+    },
+    undoRepost: async (userId, postId) => {
+      await ready;
+      const original = shareable(postId);
+      const before = db.posts.length;
+      db.posts = db.posts.filter((p) => !(p.kind === "repost" && p.authorId === userId && p.originalId === original.id));
+      if (db.posts.length !== before) {
+        await persist("posts");
+        emit({ type: "unrepost", postId: original.id, userId });
+      }
+      return true;
+    },
+    quotePost: async (userId, postId, { content, tags = [] }) => {
+      await ready;
+      const original = shareable(postId);
+      if (blockedBetween(userId, original.authorId)) throw new Error("You can't share this post.");
+      if (!content?.trim()) throw new Error("Add something to your quote.");
+      checkLength(userId, content);
+      const post = { id: uid("p"), kind: "quote", originalId: original.id, authorId: userId, content: content.trim(), ...richFields(content, tags), attachments: [], communityId: null, createdAt: Date.now() };
+      db.posts = [post, ...db.posts];
+      const mentioned = notifyMentioned(post);
+      await persist("posts", "notifications");
+      emit({ type: "repost", postId: original.id, userId });
+      notified(...mentioned);
+      return decorate([post], userId)[0];
+    },
+    // idempotent: liking twice is still one like; -> { liked, likes }
+    likePost: async (postId, userId) => {
+      await ready;
+      const post = db.posts.find((p) => p.id === postId);
+      if (!post) throw new Error("Post not found.");
+      if (!db.likes.some((l) => l.postId === postId && l.userId === userId)) {
+        db.likes = [...db.likes, { postId, userId, createdAt: Date.now() }];
+        const n = notifyUser(post.authorId, "like", userId, { postId });
+        await persist("likes", "notifications");
+        emit({ type: "like", postId, userId });
+        notified(n);
+      }
+      return { liked: true, likes: db.likes.filter((l) => l.postId === postId).length };
+    },
+    unlikePost: async (postId, userId) => {
+      await ready;
+      const before = db.likes.length;
+      db.likes = db.likes.filter((l) => !(l.postId === postId && l.userId === userId));
+      if (db.likes.length !== before) {
+        // a like that's taken back before it was seen shouldn't linger in anyone's bell
+        const stale = db.notifications.filter((n) => n.type === "like" && n.postId === postId && n.actorId === userId && !n.readAt);
+        db.notifications = db.notifications.filter((n) => !stale.includes(n));
+        await persist("likes", "notifications");
+        emit({ type: "unlike", postId, userId });
+        notified(...stale);
+      }
+      return { liked: false, likes: db.likes.filter((l) => l.postId === postId).length };
+    },
+    // most recent first
+    fetchLikers: async (postId) => {
+      await ready;
+      return db.likes
+        .filter((l) => l.postId === postId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((l) => db.users.find((u) => u.id === l.userId))
+        .filter(Boolean)
+        .map(withPremium);
+    },
+    // Bookmarks keep a small snapshot of the post so the Saved view can still
+    // show a tombstone after the original is gone.
+    savePost: async (userId, postId, collectionId = null) => {
+      await ready;
+      const post = db.posts.find((p) => p.id === postId);
+      if (!post) throw new Error("Post not found.");
+      if (collectionId) ownCollection(userId, collectionId);
+      if (!db.saved.some((x) => x.userId === userId && x.postId === postId)) {
+        const snapshot = { authorId: post.authorId, excerpt: (post.content || "").slice(0, 140), createdAt: post.createdAt };
+        db.saved = [...db.saved, { id: uid("sv"), userId, postId, collectionId, savedAt: Date.now(), snapshot }];
+        await persist("saved");
+        emit({ type: "saved", userId });
+      }
+      return true;
+    },
+    unsavePost: async (userId, postId) => {
+      await ready;
+      const before = db.saved.length;
+      db.saved = db.saved.filter((x) => !(x.userId === userId && x.postId === postId));
+      if (db.saved.length !== before) {
+        await persist("saved");
+        emit({ type: "saved", userId });
+      }
+      return true;
+    },
+    // newest first; `post` is null (and `tombstone` true) once the original is gone
+    fetchSaved: async (userId) => {
+      await ready;
+      const mine = db.saved.filter((x) => x.userId === userId).sort((a, b) => b.savedAt - a.savedAt);
+      const live = new Map(decorate(db.posts.filter((p) => mine.some((x) => x.postId === p.id)), userId).map((p) => [p.id, p]));
+      return mine.map((x) => ({ ...x, post: live.get(x.postId) || null, tombstone: !live.has(x.postId) }));
+    },
+    // collectionId null = unsorted
+    moveSaved: async (userId, postId, collectionId) => {
+      await ready;
+      if (collectionId) ownCollection(userId, collectionId);
+      db.saved = db.saved.map((x) => (x.userId === userId && x.postId === postId ? { ...x, collectionId } : x));
+      await persist("saved");
+      emit({ type: "saved", userId });
+      return true;
+    },
+    // -> [{ id, name, count }] in creation order
+    fetchCollections: async (userId) => {
+      await ready;
+      return db.collections
+        .filter((c) => c.userId === userId)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map((c) => ({ ...c, count: db.saved.filter((x) => x.userId === userId && x.collectionId === c.id).length }));
+    },
+    createCollection: async (userId, name) => {
+      await ready;
+      const c = { id: uid("col"), userId, name: checkCollectionName(userId, name), createdAt: Date.now() };
+      db.collections = [...db.collections, c];
+      await persist("collections");
+      emit({ type: "saved", userId });
+      return c;
+    },
+    renameCollection: async (userId, collectionId, name) => {
+      await ready;
+      ownCollection(userId, collectionId);
+      const clean = checkCollectionName(userId, name, collectionId);
+      db.collections = db.collections.map((c) => (c.id === collectionId ? { ...c, name: clean } : c));
+      await persist("collections");
+      emit({ type: "saved", userId });
+      return true;
+    },
+    // the bookmarks inside fall back to unsorted rather than disappearing
+    deleteCollection: async (userId, collectionId) => {
+      await ready;
+      ownCollection(userId, collectionId);
+      db.collections = db.collections.filter((c) => c.id !== collectionId);
+      db.saved = db.saved.map((x) => (x.userId === userId && x.collectionId === collectionId ? { ...x, collectionId: null } : x));
+      await persist("collections", "saved");
+      emit({ type: "saved", userId });
+      return true;
+    },
+    // comment: { authorId, body, visibility: "public" | "private", parentId? }
+    addComment: async (postId, { authorId, body, visibility = "public", parentId = null, clientId = null }) => {
+      await ready;
+      const replayed = clientId && db.comments.find((c) => c.clientId === clientId && c.authorId === authorId);
+      if (replayed) return replayed;
+      const post = db.posts.find((p) => p.id === postId);
+      if (!post) throw new Error("Post not found.");
+      if (!body?.trim()) throw new Error("Comment is empty.");
+      if (visibility !== "public" && visibility !== "private") throw new Error(`Unknown visibility: ${visibility}`);
+      const parent = parentId && db.comments.find((c) => c.id === parentId);
+      if (parentId) {
+        if (!parent || parent.postId !== postId || parent.visibility !== "public") throw new Error("You can only reply to public comments.");
+        if (visibility !== "public") throw new Error("Replies are always public.");
+      }
+      if (blockedBetween(authorId, post.authorId) || (parent && blockedBetween(authorId, parent.authorId))) throw new Error("You can't comment here.");
+      const comment = { id: uid("c"), clientId, postId, authorId, body: body.trim(), visibility, parentId, likedBy: [], createdAt: Date.now() };
+      db.comments = [...db.comments, comment];
+      // private notes are nobody else's business
+      const sent =
+        visibility === "public"
+          ? [
+              parent && notifyUser(parent.authorId, "reply", authorId, { postId, commentId: comment.id }),
+              parent?.authorId !== post.authorId && notifyUser(post.authorId, "comment", authorId, { postId, commentId: comment.id }),
+            ]
+          : [];
+      await persist("comments", "notifications");
+      emit({ type: "comment", comment });
+      notified(...sent);
+      return comment;
+    },
+    fetchComments: async (postId, viewerId) => {
+      await ready;
+      return visibleComments(postId, viewerId);
+    },
+    // toggles userId's like; -> { liked, likes }
+    likeComment: async (commentId, userId) => {
+      await ready;
+      const c = db.comments.find((x) => x.id === commentId);
+      if (!c || (c.visibility !== "public" && c.authorId !== userId)) throw new Error("Comment not found.");
+      const liked = !c.likedBy.includes(userId);
+      const likedBy = liked ? [...c.likedBy, userId] : c.likedBy.filter((id) => id !== userId);
+      db.comments = db.comments.map((x) => (x.id === commentId ? { ...x, likedBy } : x));
+      await persist("comments");
+      return { liked, likes: likedBy.length };
+    },
+    fetchUsers: async () => {
+      await ready;
+      return db.users.map(withPremium);
+    },
+    getUserById: async (id) => {
+      await ready;
+      const user = db.users.find((u) => u.id === id);
+      return user ? withPremium(user) : null;
+    },
+    // -> the new user; the passphrase is only kept as a salted hash in `accounts`
+    register: async ({ username, display, avatar, passphrase }) => {
+      await ready;
+      const name = (username || "").trim().toLowerCase();
+      if (!/^[a-z0-9_]{3,20}$/.test(name)) throw new Error("Usernames are 3–20 letters, numbers or underscores.");
+      if (db.users.some((u) => u.username === name)) throw new Error("That username is taken.");
+      if (!display?.trim()) throw new Error("Pick a display name.");
+      if ((passphrase || "").length < 8) throw new Error("Passphrases need at least 8 characters.");
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const hash = await hashPassphrase(passphrase, salt);
+      const user = {
+        id: uid("u"),
+        username: name,
+        display: display.trim(),
+        avatar: [...(avatar?.trim() || display.trim())][0].toUpperCase(),
+        demo: false,
+        bio: "",
+        headerColor: PROFILE_COLORS[0],
+      };
+      db.users = [...db.users, user];
+      db.accounts = [...db.accounts, { userId: user.id, salt: b64.encode(salt), hash, iterations: PBKDF2_ITERATIONS, createdAt: Date.now() }];
+      await persist("users", "accounts");
+      emit({ type: "user", user: withPremium(user) });
+      return withPremium(user);
+    },
+    // demo accounts have no passphrase, unless they're an admin: anyone could walk in and moderate.
+    // Everyone else must match their stored hash.
+    login: async (username, passphrase) => {
+      await ready;
+      const user = db.users.find((u) => u.username === (username || "").trim().toLowerCase());
+      const account = user && db.accounts.find((a) => a.userId === user.id);
+      if (user?.demo && !account && !user.admin) return withPremium(user);
+      if (!account) throw new Error("Wrong username or passphrase.");
+      const hash = await hashPassphrase(passphrase || "", b64.decode(account.salt), account.iterations);
+      if (hash !== account.hash) throw new Error("Wrong username or passphrase.");
+      return withPremium(user);
+    },
+    // patch: { display?, avatar?, bio?, headerColor? }
+    updateProfile: async (userId, patch) => {
+      await ready;
+      const user = db.users.find((u) => u.id === userId);
+      if (!user) throw new Error("User not found.");
+      const next = { ...user };
+      if (patch.display !== undefined) {
+        if (!patch.display.trim()) throw new Error("Display name can't be empty.");
+        next.display = patch.display.trim().slice(0, 40);
+      }
+      if (patch.avatar?.trim()) next.avatar = [...patch.avatar.trim()][0].toUpperCase();
+      if (patch.bio !== undefined) next.bio = patch.bio.trim().slice(0, 160);
+      if (patch.headerColor !== undefined) {
+        const premium = withPremium(user).premium;
+        if (!PROFILE_COLORS.includes(patch.headerColor) && !(premium && PREMIUM_COLORS.includes(patch.headerColor))) throw new Error("That header colour is a Premium perk.");
+        next.headerColor = patch.headerColor;
+      }
+      db.users = db.users.map((u) => (u.id === userId ? next : u));
+      await persist("users");
+      emit({ type: "user", user: withPremium(next) });
+      return withPremium(next);
+    },
+    follow: async (followerId, followeeId) => {
+      await ready;
+      if (followerId === followeeId) throw new Error("You can't follow yourself.");
+      if (!db.users.some((u) => u.id === followeeId)) throw new Error("User not found.");
+      if (blockedBetween(followerId, followeeId)) throw new Error("You can't follow this person.");
+      if (!db.follows.some((f) => f.followerId === followerId && f.followeeId === followeeId)) {
+        db.follows = [...db.follows, { followerId, followeeId, createdAt: Date.now() }];
+        const n = notifyUser(followeeId, "follow", followerId);
+        await persist("follows", "notifications");
+        emit({ type: "follow", followerId, followeeId });
+        notified(n);
+      }
+      return true;
+    },
+    unfollow: async (followerId, followeeId) => {
+      await ready;
+      const before = db.follows.length;
+      db.follows = db.follows.filter((f) => !(f.followerId === followerId && f.followeeId === followeeId));
+      if (db.follows.length !== before) {
+        await persist("follows");
+        emit({ type: "unfollow", followerId, followeeId });
+      }
+      return true;
+    },
+    // people following userId, most recent first
+    fetchFollowers: async (userId) => {
+      await ready;
+      return db.follows
+        .filter((f) => f.followeeId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((f) => db.users.find((u) => u.id === f.followerId))
+        .filter(Boolean)
+        .map(withPremium);
+    },
+    // people userId follows, most recent first
+    fetchFollowing: async (userId) => {
+      await ready;
+      return db.follows
+        .filter((f) => f.followerId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((f) => db.users.find((u) => u.id === f.followeeId))
+        .filter(Boolean)
+        .map(withPremium);
+    },
+    // cipher is what E2E.encrypt() made of the text; the service never sees the text itself
+    sendMessage: async ({ from, to, cipher, clientId = null }) => {
+      await ready;
+      const replayed = clientId && db.messages.find((m) => m.clientId === clientId && m.from === from);
+      if (replayed) return replayed;
+      if (blockedBetween(from, to)) throw new Error("You can't message this person.");
+      if (!cipher || cipher.v !== 1 || ![cipher.iv, cipher.ct, cipher.senderKey, cipher.recipientKey].every((x) => typeof x === "string")) {
+        throw new Error("Messages have to be encrypted before they're sent.");
+      }
+      const published = (userId, fingerprint) => db.keys.some((k) => k.userId === userId && k.fingerprint === fingerprint);
+      if (!published(from, cipher.senderKey) || !published(to, cipher.recipientKey)) throw new Error("That message was encrypted with an unknown key.");
+      const { v, iv, ct, senderKey, recipientKey } = cipher;
+      const m = { id: uid("m"), clientId, from, to, body: null, cipher: { v, iv, ct, senderKey, recipientKey }, createdAt: Date.now(), readAt: null };
+      db.messages = [...db.messages, m];
+      const n = notifyUser(to, "message", from, { partnerId: from });
+      await persist("messages", "notifications");
+      emit({ type: "message", message: m });
+      notified(n);
+      return m;
+    },
+    // publicKey is a P-256 ECDH public key as a JWK; the fingerprint is the client's, and clients
+    // recompute it rather than take it on trust. Publishing the current key again changes nothing.
+    publishKey: async (userId, { publicKey, fingerprint }) => {
+      await ready;
+      if (!db.users.some((u) => u.id === userId)) throw new Error("User not found.");
+      if (publicKey?.kty !== "EC" || publicKey.crv !== "P-256" || typeof publicKey.x !== "string" || typeof publicKey.y !== "string" || publicKey.d) throw new Error("Not a P-256 public key.");
+      if (!/^[0-9a-f]{64}$/.test(fingerprint || "")) throw new Error("Bad key fingerprint.");
+      const mine = db.keys.filter((k) => k.userId === userId);
+      if (mine[mine.length - 1]?.fingerprint === fingerprint) return mine[mine.length - 1];
+      const key = { userId, publicKey: { kty: "EC", crv: "P-256", x: publicKey.x, y: publicKey.y }, fingerprint, createdAt: Date.now() };
+      db.keys = [...db.keys, key];
+      await persist("keys");
+      emit({ type: "key", userId });
+      return key;
+    },
+    // every key userId has published, oldest first; the last one is what to encrypt to
+    fetchKeys: async (userId) => {
+      await ready;
+      return db.keys.filter((k) => k.userId === userId);
+    },
+    // conversations with anyone blocked either way are left out
+    fetchMessages: async (id) => {
+      await ready;
+      return db.messages.filter((m) => (m.to === id || m.from === id) && !blockedBetween(m.from, m.to));
+    },
+    // mark everything partnerId sent to userId as read
+    markConversationRead: async (userId, partnerId) => {
+      await ready;
+      const now = Date.now();
+      let changed = 0;
+      db.messages = db.messages.map((m) => {
+        if (m.from !== partnerId || m.to !== userId || m.readAt) return m;
+        changed += 1;
+        return { ...m, readAt: now };
+      });
+      if (!changed) return 0;
+      // reading the thread covers its notifications too
+      db.notifications = db.notifications.map((n) => (n.userId === userId && n.type === "message" && n.partnerId === partnerId && !n.readAt ? { ...n, readAt: now } : n));
+      await persist("messages", "notifications");
+      emit({ type: "messages_read", userId, partnerId });
+      notified({ userId });
+      return changed;
+    },
+    // story: { kind: "image" | "audio" | "text", mediaId?, text?, background? }; mediaId comes from
+    // uploadMedia() and is deleted along with the story when it expires
+    createStory: async ({ authorId, kind, mediaId = null, text = "", background = null }) => {
+      await ready;
+      if (!STORY_KINDS.includes(kind)) throw new Error(`Unknown story kind: ${kind}`);
+      if (kind === "text" ? !text.trim() : !mediaId) throw new Error("Story is empty.");
+      if (kind !== "text" && !db.media.some((m) => m.id === mediaId && m.ownerId === authorId && m.kind === kind)) throw new Error("Story media not found.");
+      const now = Date.now();
+      const story = { id: uid("s"), authorId, kind, mediaId: kind === "text" ? null : mediaId, text: text.trim(), background, createdAt: now, expiresAt: now + STORY_TTL_MS, seenBy: [] };
+      db.stories = [...db.stories, story];
+      await persist("stories");
+      emit({ type: "story", story });
+      return story;
+    },
+    // live stories grouped per author, oldest segment first; expired ones are dropped for good
+    fetchStories: async (viewerId) => {
+      await ready;
+      const now = Date.now();
+      const live = db.stories.filter((s) => s.expiresAt > now);
+      if (live.length !== db.stories.length) {
+        const expired = db.stories.filter((s) => s.expiresAt <= now && s.mediaId).map((s) => s.mediaId);
+        db.stories = live;
+        await dropUnusedMedia(expired);
+        await persist("stories", "media");
+      }
+      const groups = new Map();
+      for (const s of live.slice().sort((a, b) => a.createdAt - b.createdAt)) {
+        const g = groups.get(s.authorId) || { authorId: s.authorId, stories: [] };
+        g.stories.push({ ...s, seen: s.seenBy.includes(viewerId) });
+        groups.set(s.authorId, g);
+      }
+      return [...groups.values()].map((g) => ({
+        ...g,
+        unseen: g.stories.some((s) => !s.seen),
+        latestAt: g.stories[g.stories.length - 1].createdAt,
+        expiresAt: Math.min(...g.stories.map((s) => s.expiresAt)),
+      }));
+    },
+    markStorySeen: async (storyId, viewerId) => {
+      await ready;
+      const story = db.stories.find((s) => s.id === storyId);
+      if (!story || story.seenBy.includes(viewerId)) return false;
+      db.stories = db.stories.map((s) => (s.id === storyId ? { ...s, seenBy: [...s.seenBy, viewerId] } : s));
+      await persist("stories");
+      emit({ type: "story_seen", storyId, viewerId });
+      return true;
+    },
+    // -> [{ ...community, memberCount, myRole }] biggest first
+    fetchCommunities: async (viewerId) => {
+      await ready;
+      return db.communities
+        .map((c) => ({ ...c, memberCount: db.memberships.filter((m) => m.communityId === c.id).length, myRole: roleOf(viewerId, c.id) }))
+        .sort((a, b) => b.memberCount - a.memberCount || a.name.localeCompare(b.name));
+    },
+    // owners first, then moderators, then members by join date
+    fetchMembers: async (communityId) => {
+      await ready;
+      return db.memberships
+        .filter((m) => m.communityId === communityId)
+        .sort((a, b) => COMMUNITY_ROLES.indexOf(a.role) - COMMUNITY_ROLES.indexOf(b.role) || a.joinedAt - b.joinedAt)
+        .map((m) => ({ ...m, user: db.users.find((u) => u.id === m.userId) }))
+        .filter((m) => m.user)
+        .map((m) => ({ ...m, user: withPremium(m.user) }));
+    },
+    createCommunity: async (userId, { name, description = "", rules = [] }) => {
+      await ready;
+      const clean = (name || "").trim().slice(0, 40);
+      if (clean.length < 3) throw new Error("Room names need at least 3 characters.");
+      let slug = slugify(clean);
+      for (let n = 2; db.communities.some((c) => c.slug === slug); n++) slug = `${slugify(clean)}-${n}`;
+      const now = Date.now();
+      const c = { id: uid("c"), slug, name: clean, description: description.trim().slice(0, 160), rules: cleanRules(rules), ownerId: userId, createdAt: now };
+      db.communities = [...db.communities, c];
+      db.memberships = [...db.memberships, { communityId: c.id, userId, role: "owner", joinedAt: now }];
+      await persist("communities", "memberships");
+      emit({ type: "community", communityId: c.id });
+      return c;
+    },
+    joinCommunity: async (userId, communityId) => {
+      await ready;
+      roomOrThrow(communityId);
+      if (!roleOf(userId, communityId)) {
+        db.memberships = [...db.memberships, { communityId, userId, role: "member", joinedAt: Date.now() }];
+        await persist("memberships");
+        emit({ type: "community", communityId });
+      }
+      return true;
+    },
+    leaveCommunity: async (userId, communityId) => {
+      await ready;
+      if (roleOf(userId, communityId) === "owner") throw new Error("Owners can't leave — make someone else owner first.");
+      db.memberships = db.memberships.filter((m) => !(m.userId === userId && m.communityId === communityId));
+      await persist("memberships");
+      emit({ type: "community", communityId });
+      return true;
+    },
+    // Only the owner hands out roles. Making someone owner demotes the current owner to moderator.
+    setRole: async (actorId, communityId, userId, role) => {
+      await ready;
+      roomOrThrow(communityId);
+      if (!COMMUNITY_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+      if (roleOf(actorId, communityId) !== "owner") throw new Error("Only the owner can change roles.");
+      if (!roleOf(userId, communityId)) throw new Error("That person isn't a member.");
+      if (userId === actorId) throw new Error("Hand ownership to someone else instead.");
+      db.memberships = db.memberships.map((m) => {
+        if (m.communityId !== communityId) return m;
+        if (m.userId === userId) return { ...m, role };
+        if (role === "owner" && m.userId === actorId) return { ...m, role: "moderator" };
+        return m;
+      });
+      if (role === "owner") db.communities = db.communities.map((c) => (c.id === communityId ? { ...c, ownerId: userId } : c));
+      await persist("memberships", "communities");
+      emit({ type: "community", communityId });
+      return true;
+    },
+    // owners and moderators; rules is a list of short lines
+    updateRules: async (actorId, communityId, rules) => {
+      await ready;
+      roomOrThrow(communityId);
+      if (!["owner", "moderator"].includes(roleOf(actorId, communityId))) throw new Error("Only owners and moderators can edit the rules.");
+      db.communities = db.communities.map((c) => (c.id === communityId ? { ...c, rules: cleanRules(rules) } : c));
+      await persist("communities");
+      emit({ type: "community", communityId });
+      return true;
+    },
+    // room chat is for members only, oldest first
+    fetchRoomMessages: async (communityId, viewerId) => {
+      await ready;
+      if (!roleOf(viewerId, communityId)) return [];
+      return db.roomMessages.filter((m) => m.communityId === communityId).sort((a, b) => a.createdAt - b.createdAt);
+    },
+    sendRoomMessage: async (userId, communityId, body) => {
+      await ready;
+      roomOrThrow(communityId);
+      if (!roleOf(userId, communityId)) throw new Error("Join the community to chat.");
+      if (!body?.trim()) throw new Error("Message is empty.");
+      const m = { id: uid("rm"), communityId, from: userId, body: body.trim().slice(0, 1000), createdAt: Date.now() };
+      db.roomMessages = [...db.roomMessages, m];
+      await persist("roomMessages");
+      emit({ type: "room_message", message: m });
+      return m;
+    },
+    // processed: { kind, blob, thumb?, poster?, width?, height?, duration? }; -> the stored metadata,
+    // whose id goes into createPost({ attachments })
+    uploadMedia: async (ownerId, { kind, blob, thumb = null, poster = null, width = null, height = null, duration = null }) => {
+      await ready;
+      if (!MEDIA_KINDS.includes(kind)) throw new Error(`Unsupported media kind: ${kind}`);
+      if (!(blob?.size > 0)) throw new Error("That file is empty.");
+      if (blob.size > MEDIA_LIMITS[kind]) throw new Error("That file is too large.");
+      const keep = (await Store.blobs()) ? async (b) => b : async (b) => b && blobToDataURL(b);
+      const id = uid("m");
+      await Store.set(`media:${id}`, { blob: await keep(blob), thumb: await keep(thumb), poster: await keep(poster) });
+      const meta = { id, ownerId, kind, type: blob.type, size: blob.size, width, height, duration, createdAt: Date.now() };
+      db.media = [...db.media, meta];
+      await persist("media");
+      return meta;
+    },
+    // an upload nothing points at, e.g. one made for a post that then failed to go out
+    deleteMedia: async (ownerId, id) => {
+      await ready;
+      if (!db.media.some((m) => m.id === id && m.ownerId === ownerId)) throw new Error("Media not found.");
+      if (mediaInUse().has(id)) throw new Error("That file is attached to a post or story.");
+      db.media = db.media.filter((m) => m.id !== id);
+      mediaUrls.delete(id);
+      await Store.remove(`media:${id}`);
+      await persist("media");
+      return true;
+    },
+    // -> { ...meta, url, thumbUrl, posterUrl } or null
+    fetchMedia: async (id) => {
+      await ready;
+      const meta = db.media.find((m) => m.id === id);
+      if (!meta) return null;
+      if (!mediaUrls.has(id)) {
+        mediaUrls.set(id, Store.get(`media:${id}`, null).then((rec) => rec && { url: toUrl(rec.blob), thumbUrl: toUrl(rec.thumb), posterUrl: toUrl(rec.poster) }));
+      }
+      const urls = await mediaUrls.get(id);
+      return urls && { ...meta, ...urls };
+    },
+    // -> { balance, premiumUntil, transactions } with the newest entries first
+    fetchWallet: async (userId) => {
+      await ready;
+      const now = Date.now();
+      const transactions = db.transactions
+        .filter((t) => t.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((t) => ({
+          ...t,
+          counterparty: t.counterpartyId ? withPremium(db.users.find((u) => u.id === t.counterpartyId) || { id: t.counterpartyId, display: "Unknown", avatar: "?" }) : null,
+          refunded: refunded(t.id),
+          refundable: t.type === "purchase" && t.amount < 0 && !refunded(t.id) && now - t.createdAt < REFUND_WINDOW_MS,
+        }));
+      return { balance: balanceOf(userId), premiumUntil: premiumUntil(userId) || null, transactions };
+    },
+    topUp: async (userId, amount) => {
+      await ready;
+      if (cents(amount) > MAX_TOPUP) throw new Error(`Top-ups are limited to ${formatMoney(MAX_TOPUP)}.`);
+      const t = record({ userId, type: "topup", amount });
+      await persist("transactions");
+      emit({ type: "wallet", userIds: [userId] });
+      return t;
+    },
+    // Wallets from before the ledger kept a bare dollar number on the device; it comes in once as a top-up.
+    importLegacyBalance: async (userId, dollars) => {
+      await ready;
+      const amount = Math.round(Number(dollars) * 100);
+      if (!(amount > 0) || db.transactions.some((t) => t.userId === userId && t.legacy)) return null;
+      const t = record({ userId, type: "topup", amount, note: "Imported balance", legacy: true });
+      await persist("transactions");
+      emit({ type: "wallet", userIds: [userId] });
+      return t;
+    },
+    buyPremium: async (userId, planId) => {
+      await ready;
+      const plan = PREMIUM_PLANS.find((x) => x.id === planId);
+      if (!plan) throw new Error("Unknown plan.");
+      if (balanceOf(userId) < plan.price) throw new Error("Top up to buy premium.");
+      const t = record({ userId, type: "purchase", amount: -plan.price, planId: plan.id, days: plan.days, note: `Premium · ${plan.label}` });
+      await persist("transactions");
+      emit({ type: "wallet", userIds: [userId] });
+      emit({ type: "user", user: withPremium(db.users.find((u) => u.id === userId)) });
+      return t;
+    },
+    // a purchase can be refunded once, within REFUND_WINDOW_MS; the days it bought go with it
+    refundPurchase: async (userId, txnId) => {
+      await ready;
+      const purchase = db.transactions.find((t) => t.id === txnId && t.userId === userId && t.type === "purchase");
+      if (!purchase || purchase.amount >= 0) throw new Error("Nothing to refund.");
+      if (refunded(txnId)) throw new Error("Already refunded.");
+      if (Date.now() - purchase.createdAt >= REFUND_WINDOW_MS) throw new Error("The refund window has closed.");
+      const t = record({ userId, type: "refund", amount: -purchase.amount, refundOf: txnId, note: `Refund · ${purchase.note}` });
+      await persist("transactions");
+      emit({ type: "wallet", userIds: [userId] });
+      emit({ type: "user", user: withPremium(db.users.find((u) => u.id === userId)) });
+      return t;
+    },
+    // one entry on each side, tied together by transferId
+    tip: async (fromId, toId, amount, postId = null) => {
+      await ready;
+      cents(amount);
+      if (fromId === toId) throw new Error("You can't tip yourself.");
+      if (!db.users.some((u) => u.id === toId)) throw new Error("User not found.");
+      if (balanceOf(fromId) < amount) throw new Error("Not enough balance for that tip.");
+      const transferId = uid("x");
+      const sent = record({ userId: fromId, type: "tip", amount: -amount, counterpartyId: toId, postId, transferId });
+      record({ userId: toId, type: "tip", amount, counterpartyId: fromId, postId, transferId });
+      await persist("transactions");
+      emit({ type: "wallet", userIds: [fromId, toId] });
+      return sent;
+    },
+    // blocking also ends any follow between the two
+    blockUser: async (userId, targetId) => {
+      await ready;
+      if (userId === targetId) throw new Error("You can't block yourself.");
+      if (!db.users.some((u) => u.id === targetId)) throw new Error("User not found.");
+      if (!db.blocks.some((x) => x.userId === userId && x.targetId === targetId)) {
+        db.blocks = [...db.blocks, { userId, targetId, createdAt: Date.now() }];
+        db.follows = db.follows.filter((f) => !((f.followerId === userId && f.followeeId === targetId) || (f.followerId === targetId && f.followeeId === userId)));
+        await persist("blocks", "follows");
+        emit({ type: "safety", userIds: [userId, targetId] });
+      }
+      return true;
+    },
+    unblockUser: async (userId, targetId) => {
+      await ready;
+      const before = db.blocks.length;
+      db.blocks = db.blocks.filter((x) => !(x.userId === userId && x.targetId === targetId));
+      if (db.blocks.length !== before) {
+        await persist("blocks");
+        emit({ type: "safety", userIds: [userId, targetId] });
+      }
+      return true;
+    },
+    muteUser: async (userId, targetId) => {
+      await ready;
+      if (userId === targetId) throw new Error("You can't mute yourself.");
+      if (!db.users.some((u) => u.id === targetId)) throw new Error("User not found.");
+      return setMute(userId, "user", targetId, true);
+    },
+    unmuteUser: async (userId, targetId) => {
+      await ready;
+      return setMute(userId, "user", targetId, false);
+    },
+    mutePost: async (userId, postId) => {
+      await ready;
+      if (!db.posts.some((p) => p.id === postId)) throw new Error("Post not found.");
+      return setMute(userId, "post", postId, true);
+    },
+    unmutePost: async (userId, postId) => {
+      await ready;
+      return setMute(userId, "post", postId, false);
+    },
+    // -> { blocked, mutedUsers, mutedPosts, keywords, tags }; blocked/muted are ids
+    fetchSafety: async (userId) => {
+      await ready;
+      const f = db.filters.find((x) => x.userId === userId);
+      return {
+        blocked: db.blocks.filter((x) => x.userId === userId).map((x) => x.targetId),
+        mutedUsers: db.mutes.filter((m) => m.userId === userId && m.kind === "user").map((m) => m.targetId),
+        mutedPosts: db.mutes.filter((m) => m.userId === userId && m.kind === "post").map((m) => m.targetId),
+        keywords: f?.keywords || [],
+        tags: f?.tags || [],
+      };
+    },
+    // filters: { keywords, tags }; posts matching them are collapsed in the feed, not removed
+    setFilters: async (userId, { keywords = [], tags = [] }) => {
+      await ready;
+      const clean = (list, norm) => [...new Set(list.map(norm).filter(Boolean))].slice(0, MAX_FILTERS);
+      const next = { userId, keywords: clean(keywords, (k) => k.trim().toLowerCase()), tags: clean(tags, normalizeTag) };
+      db.filters = [...db.filters.filter((x) => x.userId !== userId), next];
+      await persist("filters");
+      emit({ type: "safety", userIds: [userId] });
+      return { keywords: next.keywords, tags: next.tags };
+    },
+    // report: { kind: "post" | "comment" | "user", targetId, reason, note? }. Keeps a snapshot so the
+    // report can still be reviewed if the thing changes; reporting the same thing twice is a no-op.
+    reportContent: async (reporterId, { kind, targetId, reason, note = "" }) => {
+      await ready;
+      if (!REPORT_KINDS.includes(kind)) throw new Error(`Unknown report kind: ${kind}`);
+      if (!REPORT_REASONS[reason]) throw new Error("Pick a reason.");
+      const open = db.reports.find((r) => r.reporterId === reporterId && r.kind === kind && r.targetId === targetId && r.status === "open");
+      if (open) return open;
+      let snapshot;
+      let communityId = null;
+      if (kind === "post") {
+        const p = db.posts.find((x) => x.id === targetId);
+        if (!p) throw new Error("Post not found.");
+        snapshot = { authorId: p.authorId, content: p.content, postId: p.id };
+        communityId = p.communityId || null;
+      } else if (kind === "comment") {
+        const c = db.comments.find((x) => x.id === targetId && x.visibility === "public");
+        if (!c) throw new Error("Comment not found.");
+        snapshot = { authorId: c.authorId, content: c.body, postId: c.postId };
+        communityId = db.posts.find((x) => x.id === c.postId)?.communityId || null;
+      } else {
+        const u = db.users.find((x) => x.id === targetId);
+        if (!u) throw new Error("User not found.");
+        snapshot = { authorId: u.id, content: u.bio || "", postId: null };
+      }
+      if (snapshot.authorId === reporterId) throw new Error("You can't report yourself.");
+      const report = { id: uid("r"), reporterId, kind, targetId, reason, note: note.trim().slice(0, 500), communityId, snapshot, status: "open", outcome: null, resolvedBy: null, resolvedAt: null, createdAt: Date.now() };
+      db.reports = [...db.reports, report];
+      await persist("reports");
+      emit({ type: "report", communityId });
+      return report;
+    },
+    // the reports viewerId may review, newest first
+    fetchReports: async (viewerId) => {
+      await ready;
+      return db.reports.filter((r) => canReview(viewerId, r)).sort((a, b) => b.createdAt - a.createdAt);
+    },
+    // outcome: "removed" | "resolved" | "dismissed"; settles every open report about the same thing
+    resolveReport: async (actorId, reportId, outcome) => {
+      await ready;
+      const report = db.reports.find((r) => r.id === reportId);
+      if (!report) throw new Error("Report not found.");
+      if (!canReview(actorId, report)) throw new Error("Only admins and the room's moderators can review this.");
+      if (report.status !== "open") throw new Error("That report has already been handled.");
+      if (!REPORT_OUTCOMES.includes(outcome)) throw new Error(`Unknown outcome: ${outcome}`);
+      if (outcome === "removed" && report.kind === "user") throw new Error("People can't be removed, only their posts and comments.");
+      let dropped = [];
+      if (outcome === "removed" && report.kind === "post") dropped = await purgePost(report.targetId);
+      if (outcome === "removed" && report.kind === "comment") dropped = purgeComment(report.targetId);
+      const now = Date.now();
+      db.reports = db.reports.map((r) => (r.status === "open" && r.kind === report.kind && r.targetId === report.targetId ? { ...r, status: "closed", outcome, resolvedBy: actorId, resolvedAt: now } : r));
+      await persist("reports", "posts", "trash", "revisions", "comments", "likes", "saved", "notifications", "media");
+      emit({ type: "report", communityId: report.communityId, removed: outcome === "removed" ? report.targetId : null });
+      notified(...dropped);
+      return db.reports.find((r) => r.id === reportId);
+    },
+    // newest first
+    fetchNotifications: async (userId) => {
+      await ready;
+      return db.notifications.filter((n) => n.userId === userId).sort((a, b) => b.createdAt - a.createdAt);
+    },
+    // ids: which ones, or all of userId's when null; -> how many changed
+    markNotificationsRead: async (userId, ids = null) => {
+      await ready;
+      const now = Date.now();
+      let changed = 0;
+      db.notifications = db.notifications.map((n) => {
+        if (n.userId !== userId || n.readAt || (ids && !ids.includes(n.id))) return n;
+        changed += 1;
+        return { ...n, readAt: now };
+      });
+      if (!changed) return 0;
+      await persist("notifications");
+      notified({ userId });
+      return changed;
+    },
+    // -> { muted: [type] }
+    fetchNotificationSettings: async (userId) => {
+      await ready;
+      return { muted: mutedTypes(userId) };
+    },
+    // muting stops new notifications of that type; the ones already there stay
+    setNotificationMuted: async (userId, type, muted) => {
+      await ready;
+      if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+      const next = muted ? [...new Set([...mutedTypes(userId), type])] : mutedTypes(userId).filter((t) => t !== type);
+      db.notificationPrefs = [...db.notificationPrefs.filter((p) => p.userId !== userId), { userId, muted: next }];
+      await persist("notificationPrefs");
+      notified({ userId });
+      return { muted: next };
+    },
+    // fn(event) for every change; returns an unsubscribe function
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+})();
+
+/* -------------------- BACKEND -------------------- */
+// The UI never calls a backend directly: it takes a service from ServiceContext. MockService is one
+// adapter, createRestAdapter() another; withOutbox() wraps either so writes survive being offline.
+
+// the backend couldn't be reached (or fell over), as opposed to it refusing the request
+class NetworkError extends Error {}
+
+// [method, verb, path, arg names]. Path segments named after an argument carry it; the rest go in
+// the query string for GET/DELETE (strings as-is, anything else as JSON) or a JSON body otherwise.
+// server/standin.mjs serves the same table, so the two can't drift apart.
+const API_ROUTES = [
+  ["fetchPosts", "GET", "/posts", ["query"]],
+  ["createPost", "POST", "/posts", ["post"]],
+  ["fetchPost", "GET", "/posts/:postId", ["postId", "viewerId"]],
+  ["editPost", "PATCH", "/posts/:postId", ["userId", "postId", "changes"]],
+  ["deletePost", "DELETE", "/posts/:postId", ["userId", "postId"]],
+  ["restorePost", "POST", "/posts/:postId/restore", ["userId", "postId"]],
+  ["fetchRevisions", "GET", "/posts/:postId/revisions", ["postId", "viewerId"]],
+  ["schedulePost", "POST", "/scheduled", ["post", "publishAt"]],
+  ["fetchScheduled", "GET", "/users/:userId/scheduled", ["userId"]],
+  ["cancelScheduled", "DELETE", "/users/:userId/scheduled/:scheduledId", ["userId", "scheduledId"]],
+  ["publishDue", "POST", "/users/:userId/scheduled/publish", ["userId"]],
+  ["fetchLinkPreview", "GET", "/link-previews", ["url", "viewerId"]],
+  ["fetchTagSuggestions", "GET", "/tags", ["prefix", "limit"]],
+  ["fetchTrends", "GET", "/trends", ["viewerId", "limit"]],
+  ["repost", "POST", "/posts/:postId/reposts", ["userId", "postId"]],
+  ["undoRepost", "DELETE", "/posts/:postId/reposts/:userId", ["userId", "postId"]],
+  ["quotePost", "POST", "/posts/:postId/quotes", ["userId", "postId", "quote"]],
+  ["likePost", "PUT", "/posts/:postId/likes/:userId", ["postId", "userId"]],
+  ["unlikePost", "DELETE", "/posts/:postId/likes/:userId", ["postId", "userId"]],
+  ["fetchLikers", "GET", "/posts/:postId/likes", ["postId"]],
+  ["addComment", "POST", "/posts/:postId/comments", ["postId", "comment"]],
+  ["fetchComments", "GET", "/posts/:postId/comments", ["postId", "viewerId"]],
+  ["likeComment", "POST", "/comments/:commentId/likes", ["commentId", "userId"]],
+  ["savePost", "PUT", "/users/:userId/saved/:postId", ["userId", "postId", "collectionId"]],
+  ["unsavePost", "DELETE", "/users/:userId/saved/:postId", ["userId", "postId"]],
+  ["fetchSaved", "GET", "/users/:userId/saved", ["userId"]],
+  ["moveSaved", "PATCH", "/users/:userId/saved/:postId", ["userId", "postId", "collectionId"]],
+  ["fetchCollections", "GET", "/users/:userId/collections", ["userId"]],
+  ["createCollection", "POST", "/users/:userId/collections", ["userId", "name"]],
+  ["renameCollection", "PATCH", "/users/:userId/collections/:collectionId", ["userId", "collectionId", "name"]],
+  ["deleteCollection", "DELETE", "/users/:userId/collections/:collectionId", ["userId", "collectionId"]],
+  ["fetchUsers", "GET", "/users", []],
+  ["getUserById", "GET", "/users/:id", ["id"]],
+  ["register", "POST", "/accounts", ["account"]],
+  ["login", "POST", "/sessions", ["username", "passphrase"]],
+  ["updateProfile", "PATCH", "/users/:userId", ["userId", "patch"]],
+  ["follow", "PUT", "/users/:followeeId/followers/:followerId", ["followerId", "followeeId"]],
+  ["unfollow", "DELETE", "/users/:followeeId/followers/:followerId", ["followerId", "followeeId"]],
+  ["fetchFollowers", "GET", "/users/:userId/followers", ["userId"]],
+  ["fetchFollowing", "GET", "/users/:userId/following", ["userId"]],
+  ["sendMessage", "POST", "/messages", ["message"]],
+  ["publishKey", "PUT", "/users/:userId/keys", ["userId", "key"]],
+  ["fetchKeys", "GET", "/users/:userId/keys", ["userId"]],
+  ["fetchMessages", "GET", "/users/:id/messages", ["id"]],
+  ["markConversationRead", "POST", "/users/:userId/messages/:partnerId/read", ["userId", "partnerId"]],
+  ["createStory", "POST", "/stories", ["story"]],
+  ["fetchStories", "GET", "/stories", ["viewerId"]],
+  ["markStorySeen", "PUT", "/stories/:storyId/seen/:viewerId", ["storyId", "viewerId"]],
+  ["fetchCommunities", "GET", "/communities", ["viewerId"]],
+  ["fetchMembers", "GET", "/communities/:communityId/members", ["communityId"]],
+  ["createCommunity", "POST", "/communities", ["userId", "community"]],
+  ["joinCommunity", "PUT", "/communities/:communityId/members/:userId", ["userId", "communityId"]],
+  ["leaveCommunity", "DELETE", "/communities/:communityId/members/:userId", ["userId", "communityId"]],
+  ["setRole", "PATCH", "/communities/:communityId/members/:userId", ["actorId", "communityId", "userId", "role"]],
+  ["updateRules", "PUT", "/communities/:communityId/rules", ["actorId", "communityId", "rules"]],
+  ["fetchRoomMessages", "GET", "/communities/:communityId/messages", ["communityId", "viewerId"]],
+  ["sendRoomMessage", "POST", "/communities/:communityId/messages", ["userId", "communityId", "body"]],
+  ["uploadMedia", "POST", "/media", ["ownerId", "media"]],
+  ["fetchMedia", "GET", "/media/:id", ["id"]],
+  ["deleteMedia", "DELETE", "/media/:id", ["ownerId", "id"]],
+  ["fetchWallet", "GET", "/users/:userId/wallet", ["userId"]],
+  ["topUp", "POST", "/users/:userId/wallet/topups", ["userId", "amount"]],
+  ["importLegacyBalance", "POST", "/users/:userId/wallet/imports", ["userId", "dollars"]],
+  ["buyPremium", "POST", "/users/:userId/wallet/purchases", ["userId", "planId"]],
+  ["refundPurchase", "POST", "/users/:userId/wallet/refunds", ["userId", "txnId"]],
+  ["tip", "POST", "/users/:toId/tips", ["fromId", "toId", "amount", "postId"]],
+  ["blockUser", "PUT", "/users/:userId/blocks/:targetId", ["userId", "targetId"]],
+  ["unblockUser", "DELETE", "/users/:userId/blocks/:targetId", ["userId", "targetId"]],
+  ["muteUser", "PUT", "/users/:userId/mutes/users/:targetId", ["userId", "targetId"]],
+  ["unmuteUser", "DELETE", "/users/:userId/mutes/users/:targetId", ["userId", "targetId"]],
+  ["mutePost", "PUT", "/users/:userId/mutes/posts/:postId", ["userId", "postId"]],
+  ["unmutePost", "DELETE", "/users/:userId/mutes/posts/:postId", ["userId", "postId"]],
+  ["fetchSafety", "GET", "/users/:userId/safety", ["userId"]],
+  ["setFilters", "PUT", "/users/:userId/filters", ["userId", "filters"]],
+  ["reportContent", "POST", "/reports", ["reporterId", "report"]],
+  ["fetchReports", "GET", "/reports", ["viewerId"]],
+  ["resolveReport", "POST", "/reports/:reportId/resolution", ["actorId", "reportId", "outcome"]],
+  ["fetchNotifications", "GET", "/users/:userId/notifications", ["userId"]],
+  ["markNotificationsRead", "POST", "/users/:userId/notifications/read", ["userId", "ids"]],
+  ["fetchNotificationSettings", "GET", "/users/:userId/notification-settings", ["userId"]],
+  ["setNotificationMuted", "PUT", "/users/:userId/notification-settings/:type", ["userId", "type", "muted"]],
+];
+
+// Same methods as MockService, over HTTP. Events arrive as server-sent events from `${baseUrl}/events`.
+const createRestAdapter = (baseUrl) => {
+  const request = async (verb, url, body) => {
+    let res;
+    try {
+      res = await fetch(url, { method: verb, headers: body ? { "Content-Type": "application/json" } : undefined, body: body ? JSON.stringify(body) : undefined });
+    } catch {
+      throw new NetworkError("Can't reach the server.");
+    }
+    const data = await res.json().catch(() => null);
+    if (res.status >= 500) throw new NetworkError(data?.error || "The server had a problem.");
+    if (!res.ok) {
+      const err = new Error(data?.error || `Request failed (${res.status}).`);
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  };
+
+  // Blobs don't survive JSON, so media goes up as data URLs
+  const encodeBlobs = async (v) => {
+    if (v instanceof Blob) return blobToDataURL(v);
+    if (!v || typeof v !== "object" || Array.isArray(v)) return v;
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = x instanceof Blob ? await blobToDataURL(x) : x;
+    return out;
+  };
+
+  const adapter = Object.fromEntries(
+    API_ROUTES.map(([name, verb, path, params]) => [
+      name,
+      async (...values) => {
+        const rest = {};
+        for (const [i, p] of params.entries()) if (values[i] !== undefined && values[i] !== null) rest[p] = await encodeBlobs(values[i]);
+        const url = new URL(
+          baseUrl + path.replace(/:(\w+)/g, (_, k) => {
+            const v = rest[k];
+            delete rest[k];
+            return encodeURIComponent(v);
+          }),
+          window.location.href,
+        );
+        if (verb !== "GET" && verb !== "DELETE") return request(verb, url, rest);
+        for (const [k, v] of Object.entries(rest)) url.searchParams.set(k, typeof v === "string" ? v : JSON.stringify(v));
+        return request(verb, url);
+      },
+    ]),
+  );
+
+  const listeners = new Set();
+  let source = null;
+  adapter.subscribe = (fn) => {
+    listeners.add(fn);
+    if (!source && typeof EventSource !== "undefined") {
+      source = new EventSource(`${baseUrl}/events`);
+      source.onmessage = (e) => {
+        const event = JSON.parse(e.data);
+        listeners.forEach((l) => l(event));
+      };
+    }
+    return () => listeners.delete(fn);
+  };
+  return adapter;
+};
+
+/* Outbox: posts, likes, comments and messages made while offline (or while the backend is unreachable)
+   are kept on the device and replayed in order once it's back. Until then reads are overlaid with
+   them, so they show up everywhere with a pending/failed `sync` marker. */
+const OUTBOX_KEY = "ml_outbox";
+const OUTBOX_RETRY_MS = 15000;
+const QUEUEABLE = ["createPost", "likePost", "unlikePost", "addComment", "sendMessage"];
+
+const withOutbox = (adapter) => {
+  let entries = LS.get(OUTBOX_KEY, []); // { id, method, args, state: "pending" | "failed", error, createdAt }
+  const listeners = new Set();
+  let flushing = null;
+  let retryTimer = null;
+
+  const save = () => {
+    LS.set(OUTBOX_KEY, entries);
+    listeners.forEach((fn) => fn({ type: "outbox" }));
+  };
+  const offline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+  // what the UI gets back straight away for a queued write
+  const optimistic = (method, args, id) => {
+    const now = Date.now();
+    if (method === "createPost") return { kind: "post", originalId: null, attachments: [], tags: [], communityId: null, ...args[0], id, createdAt: now, likes: 0, likedByMe: false, savedByMe: false, reposts: 0, quotes: 0, repostedByMe: false, comments: [] };
+    if (method === "addComment") return { visibility: "public", parentId: null, ...args[1], id, postId: args[0], likedBy: [], createdAt: now };
+    if (method === "sendMessage") return { ...args[0], id, createdAt: now, readAt: null };
+    return { liked: method === "likePost", likes: null };
+  };
+
+  const enqueue = (method, args) => {
+    const id = args[0]?.clientId || args[1]?.clientId || uid("ob");
+    // a like and an unlike of the same post cancel out
+    const opposite = { likePost: "unlikePost", unlikePost: "likePost" }[method];
+    const undone = opposite && entries.find((e) => e.state === "pending" && e.method === opposite && e.args[0] === args[0] && e.args[1] === args[1]);
+    entries = undone ? entries.filter((e) => e !== undone) : [...entries, { id, method, args, state: "pending", error: null, createdAt: Date.now() }];
+    save();
+    return optimistic(method, args, id);
+  };
+
+  // a queued post gets its real id once it's through; later entries that point at it follow
+  const repoint = (from, to) => {
+    entries = entries.map((e) => ({ ...e, args: e.args.map((a) => (a === from ? to : a)) }));
+  };
+
+  const flush = () =>
+    (flushing ||= (async () => {
+      clearTimeout(retryTimer);
+      let current;
+      while (!offline() && (current = entries.find((e) => e.state === "pending"))) {
+        const mark = (error) => {
+          entries = entries.map((x) => (x.id === current.id ? { ...x, state: "failed", error } : x));
+        };
+        // anything aimed at a post that couldn't be sent has nowhere to go either
+        if (current.args.some((a) => entries.some((x) => x.id === a && x.state === "failed"))) mark("The post it belongs to wasn't sent.");
+        else {
+          try {
+            const result = await adapter[current.method](...current.args);
+            entries = entries.filter((e) => e.id !== current.id);
+            if (current.method === "createPost") repoint(current.id, result.id);
+          } catch (e) {
+            if (e instanceof NetworkError) {
+              retryTimer = setTimeout(flush, OUTBOX_RETRY_MS);
+              break;
+            }
+            // the backend said no (the post is gone, it's too long, ...): park it for the user to decide
+            mark(e.message);
+          }
+        }
+        save();
+      }
+    })().finally(() => {
+      flushing = null;
+    }));
+
+  if (typeof window !== "undefined") window.addEventListener("online", flush);
+  if (entries.some((e) => e.state === "pending")) setTimeout(flush, 0);
+
+  // writes queue behind anything already waiting so they replay in the order they were made
+  const write = (method) => async (...args) => {
+    if (method === "createPost" || method === "sendMessage") args = [{ clientId: uid("local"), ...args[0] }];
+    if (method === "addComment") args = [args[0], { clientId: uid("local"), ...args[1] }];
+    if (offline() || entries.some((e) => e.state === "pending")) {
+      const local = enqueue(method, args);
+      if (!offline()) flush();
+      return local;
+    }
+    try {
+      return await adapter[method](...args);
+    } catch (e) {
+      if (!(e instanceof NetworkError)) throw e;
+      const local = enqueue(method, args);
+      retryTimer = setTimeout(flush, OUTBOX_RETRY_MS);
+      return local;
+    }
+  };
+
+  const syncOf = (list) => {
+    if (!list.length) return null;
+    const failed = list.find((e) => e.state === "failed");
+    return { state: failed ? "failed" : "pending", error: failed?.error || null, ids: list.map((e) => e.id) };
+  };
+
+  // fold queued writes into a page of posts as `viewerId` would see it once they're through; queued
+  // posts are the newest there are, so they only go on top of a first page they'd match
+  const overlayPosts = (posts, { viewerId, cursor = null, filter = {} }) => {
+    const mine = entries.filter((e) => (e.method === "createPost" && e.args[0].authorId === viewerId) || ((e.method === "likePost" || e.method === "unlikePost") && e.args[1] === viewerId) || (e.method === "addComment" && e.args[1].authorId === viewerId));
+    if (!mine.length) return posts;
+    const queued = cursor
+      ? []
+      : mine
+          .filter((e) => e.method === "createPost" && !posts.some((p) => p.clientId === e.id))
+          .map((e) => optimistic(e.method, e.args, e.id))
+          .filter((p) => postMatches(p, filter));
+    return [...queued.reverse(), ...posts].map((p) => {
+      const related = mine.filter((e) => e.id === p.id || (e.method !== "createPost" && e.args[0] === p.id));
+      if (!related.length) return p;
+      let next = { ...p, sync: syncOf(related) };
+      for (const e of related) {
+        const liked = e.method === "likePost";
+        if ((liked || e.method === "unlikePost") && liked !== next.likedByMe) next = { ...next, likedByMe: liked, likes: Math.max(0, next.likes + (liked ? 1 : -1)) };
+        if (e.method === "addComment" && !next.comments.some((c) => c.clientId === e.id)) next = { ...next, comments: [...next.comments, { ...optimistic(e.method, e.args, e.id), sync: syncOf([e]) }] };
+      }
+      return next;
+    });
+  };
+
+  return {
+    ...adapter,
+    ...Object.fromEntries(QUEUEABLE.map((m) => [m, write(m)])),
+    fetchPosts: async (query) => {
+      const page = await adapter.fetchPosts(query);
+      return { ...page, posts: overlayPosts(page.posts, query) };
+    },
+    fetchPost: async (postId, viewerId) => {
+      // offline, a post the server already has can't be told apart from one that's gone, so the
+      // NetworkError goes through; one still in the outbox isn't on the server either way
+      const post = await adapter.fetchPost(postId, viewerId).catch((e) => {
+        if (entries.some((x) => x.id === postId)) return null;
+        throw e;
+      });
+      return overlayPosts(post ? [post] : [], { viewerId, filter: { ids: [postId] } }).find((p) => p.id === postId) || null;
+    },
+    fetchMessages: async (id) => {
+      const messages = await adapter.fetchMessages(id);
+      const queued = entries.filter((e) => e.method === "sendMessage" && e.args[0].from === id && !messages.some((m) => m.clientId === e.id));
+      return [...messages, ...queued.map((e) => ({ ...optimistic(e.method, e.args, e.id), createdAt: e.createdAt, sync: syncOf([e]) }))];
+    },
+    subscribe: (fn) => {
+      const off = adapter.subscribe(fn);
+      listeners.add(fn);
+      return () => {
+        off();
+        listeners.delete(fn);
+      };
+    },
+    outbox: {
+      entries: () => entries,
+      retry: (ids) => {
+        entries = entries.map((e) => (ids.includes(e.id) ? { ...e, state: "pending", error: null } : e));
+        save();
+        return flush();
+      },
+      discard: (ids) => {
+        entries = entries.filter((e) => !ids.includes(e.id));
+        save();
+      },
+      flush,
+    },
+  };
+};
+
+// VITE_MINDLINK_API=http://localhost:8787/api points the app at a REST backend; otherwise it runs on the mock
+const API_URL = import.meta.env?.VITE_MINDLINK_API || null;
+const appService = withOutbox(API_URL ? createRestAdapter(API_URL) : MockService);
+
+// for server/standin.mjs and its tests
+export { MockService, API_ROUTES, createRestAdapter, withOutbox };
+
+const ServiceContext = React.createContext(appService);
+const useService = () => useContext(ServiceContext);
+
+// -> { online, waiting, failed } for the navbar
+const useOutboxStatus = () => {
+  const service = useService();
+  const read = () => {
+    const entries = service.outbox?.entries() || [];
+    return {
+      online: typeof navigator === "undefined" || navigator.onLine !== false,
+      waiting: entries.filter((e) => e.state === "pending").length,
+      failed: entries.filter((e) => e.state === "failed").length,
+    };
+  };
+  const [status, setStatus] = useState(read);
+  useEffect(() => {
+    const update = () => setStatus(read());
+    const off = service.subscribe((e) => {
+      if (e.type === "outbox") update();
+    });
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      off();
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, [service]);
+  return status;
+};
+
+/* -------------------- MICRO UX -------------------- */
+// calls onDwell(ms) each time the element has been mostly on screen for a while
+const useDwell = (ref, onDwell, minMs = 2000) => {
+  const cb = useRef(onDwell);
+  cb.current = onDwell;
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    let since = null;
+    const flush = () => {
+      if (since === null) return;
+      const ms = Date.now() - since;
+      since = null;
+      if (ms >= minMs && cb.current) cb.current(ms);
+    };
+    const io = new IntersectionObserver(([e]) => {
+      if (e.intersectionRatio >= 0.6) {
+        if (since === null) since = Date.now();
+      } else flush();
+    }, { threshold: [0, 0.6] });
+    io.observe(el);
+    return () => { io.disconnect(); flush(); };
+  }, [ref, minMs]);
+};
+
+const microPop = (el) => {
+  if (!el) return;
+  el.animate([{ transform: "scale(1)" }, { transform: "scale(1.06)" }, { transform: "scale(1)" }], {
+    duration: 260,
+    easing: "ease-out",
+  });
+};
+
+// `sync` comes from the outbox: { state: "pending" | "failed", error, ids }
+function SyncBadge({ sync, theme }) {
+  const service = useService();
+  if (!sync) return null;
+  if (sync.state === "pending") return <span className="text-[11px] text-slate-400" title="Saved on this device; it goes out once you're back online">⏳ Sending…</span>;
+  return (
+    <span className="text-[11px]" style={{ color: theme.accentA }}>
+      ⚠ Not sent{sync.error ? `: ${sync.error}` : ""} · <button onClick={() => service.outbox?.retry(sync.ids)} className="underline">Retry</button> · <button onClick={() => service.outbox?.discard(sync.ids)} className="underline">Discard</button>
+    </span>
+  );
+}
+
+// "Post deleted · Undo" along the bottom; goes away by itself after UNDO_MS
+function UndoToast({ message, onUndo, onDismiss, theme }) {
+  useEffect(() => {
+    const t = setTimeout(onDismiss, UNDO_MS);
+    return () => clearTimeout(t);
+  }, [message]);
+  return (
+    <motion.div initial={{ y: 40, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 40, opacity: 0 }} role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-full shadow-lg text-sm flex items-center gap-3" style={{ background: theme.accentA, color: "#fff" }}>
+      {message}
+      <button onClick={onUndo} className="font-semibold underline">Undo</button>
+      <button onClick={onDismiss} aria-label="Dismiss">✕</button>
+    </motion.div>
+  );
+}
+
+/* -------------------- INSIGHT ENGINE -------------------- */
+// Local interest model; the ranking itself is in insight.js. Signals stay on this device.
+const Insight = (() => {
+  const cache = new Map();
+  let queue = Promise.resolve();
+
+  const load = async (userId) => {
+    if (!cache.has(userId)) cache.set(userId, await Store.get(`insight_${userId}`, []));
+    return cache.get(userId);
+  };
+
+  return {
+    signals: load,
+    // writes are queued so two quick signals can't overwrite each other
+    record: (userId, signal) => {
+      queue = queue.then(async () => {
+        const list = [...(await load(userId)), { at: Date.now(), ...signal }].slice(-INSIGHT.maxSignals);
+        cache.set(userId, list);
+        await Store.set(`insight_${userId}`, list);
+      }).catch((e) => console.error(e));
+      return queue;
+    },
+  };
+})();
+
+const describeReason = (r, authorById) => {
+  if (r.kind === "tag") return `You engage with #${r.tag}`;
+  if (r.kind === "author") return `You often interact with ${authorById(r.authorId).display}`;
+  if (r.kind === "popular") return "Popular with others";
+  return "Posted recently";
+};
+
+/* -------------------- EXPLORE -------------------- */
+const TRENDING_WINDOW_MS = 1000 * 60 * 60 * 24 * 7;
+
+const normalizeTag = (t) => t.trim().replace(/^#+/, "").toLowerCase();
+
+// how much a post is worth to whatever it's counted towards: engagement, fading
+// linearly to zero at the edge of the trending window
+const trendWeight = (post, now) => {
+  const age = now - post.createdAt;
+  if (age < 0 || age > TRENDING_WINDOW_MS) return 0;
+  return (1 + (post.likes || 0) + 2 * (post.comments?.length || 0)) * (1 - age / TRENDING_WINDOW_MS);
+};
+
+// -> [{ tag, score, count }] best first
+const trendingTags = (posts, now, limit = 5) => {
+  const byTag = new Map();
+  for (const p of posts) {
+    const w = trendWeight(p, now);
+    if (!w) continue;
+    for (const t of new Set((p.tags || []).map(normalizeTag).filter(Boolean))) {
+      const e = byTag.get(t) || { tag: t, score: 0, count: 0 };
+      e.score += w;
+      e.count += 1;
+      byTag.set(t, e);
+    }
+  }
+  return [...byTag.values()].sort((a, b) => b.score - a.score || (a.tag < b.tag ? -1 : 1)).slice(0, limit);
+};
+
+// people whose recent posts are getting traction, minus you and whoever you already follow
+const suggestPeople = (posts, users, { meId, followingIds }, now, limit = 3) => {
+  const byAuthor = new Map();
+  for (const p of posts) {
+    if (p.authorId === meId || followingIds.has(p.authorId)) continue;
+    const w = trendWeight(p, now);
+    if (!w) continue;
+    const e = byAuthor.get(p.authorId) || { score: 0, tags: new Map() };
+    e.score += w;
+    for (const t of p.tags || []) e.tags.set(normalizeTag(t), (e.tags.get(normalizeTag(t)) || 0) + w);
+    byAuthor.set(p.authorId, e);
+  }
+  return [...byAuthor.entries()]
+    .map(([id, e]) => ({ user: users.find((u) => u.id === id), score: e.score, tag: [...e.tags.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null }))
+    .filter((x) => x.user)
+    .sort((a, b) => b.score - a.score || (a.user.id < b.user.id ? -1 : 1))
+    .slice(0, limit);
+};
+
+const searchTerms = (query) => [...new Set(query.toLowerCase().split(/\s+/).map((t) => t.replace(/^[#@]+/, "")).filter(Boolean))];
+
+// occurrences of term in text, counting a hit at a word start double
+const termHits = (text, term) => {
+  const hay = (text || "").toLowerCase();
+  let n = 0;
+  for (let i = hay.indexOf(term); i !== -1; i = hay.indexOf(term, i + term.length)) n += i === 0 || /\W/.test(hay[i - 1]) ? 2 : 1;
+  return n;
+};
+
+// Every term has to match somewhere. Posts score on content, tags (exact tag hits
+// weigh most) and author names; ties go to the newer post.
+const searchAll = (query, { posts, users }) => {
+  const terms = searchTerms(query);
+  if (!terms.length) return { terms, posts: [], users: [], tags: [] };
+  const userById = new Map(users.map((u) => [u.id, u]));
+
+  const postResults = [];
+  for (const post of posts) {
+    const author = userById.get(post.authorId);
+    const tags = (post.tags || []).map(normalizeTag);
+    let score = 0;
+    const all = terms.every((term) => {
+      const s =
+        termHits(post.content, term) +
+        tags.reduce((n, t) => n + (t === term ? 6 : t.includes(term) ? 2 : 0), 0) +
+        2 * (termHits(author?.display, term) + termHits(author?.username, term));
+      score += s;
+      return s > 0;
+    });
+    if (all) postResults.push({ post, score });
+  }
+  postResults.sort((a, b) => b.score - a.score || b.post.createdAt - a.post.createdAt);
+
+  const userResults = users
+    .map((user) => {
+      let score = 0;
+      const all = terms.every((term) => {
+        const s = termHits(user.display, term) * 2 + termHits(user.username, term) * 2 + termHits(user.bio, term);
+        score += s;
+        return s > 0;
+      });
+      return all ? { user, score } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || (a.user.display < b.user.display ? -1 : 1));
+
+  const tagCounts = new Map();
+  for (const p of posts) for (const t of new Set((p.tags || []).map(normalizeTag))) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
+  const tagResults = [...tagCounts.entries()]
+    .filter(([t]) => terms.some((term) => t.includes(term)))
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1));
+
+  return { terms, posts: postResults, users: userResults, tags: tagResults };
+};
+
+// wraps every occurrence of any term in <mark>
+function Highlight({ text, terms }) {
+  if (!text || !terms?.length) return text || null;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  return text.split(pattern).map((part, i) => (i % 2 ? <mark key={i} className="rounded px-0.5 bg-yellow-300/70 text-black">{part}</mark> : part));
+}
+
+/* -------------------- CONVERSATIONS -------------------- */
+// Group a flat fetchMessages() list into one thread per partner, most recent first.
+const groupConversations = (messages, meId) => {
+  const byPartner = new Map();
+  for (const m of messages) {
+    const partnerId = m.from === meId ? m.to : m.from;
+    const c = byPartner.get(partnerId) || { partnerId, messages: [], unread: 0 };
+    c.messages.push(m);
+    if (m.to === meId && m.from !== meId && !m.readAt) c.unread += 1;
+    byPartner.set(partnerId, c);
+  }
+  return [...byPartner.values()]
+    .map((c) => {
+      const sorted = c.messages.slice().sort((a, b) => a.createdAt - b.createdAt);
+      return { ...c, messages: sorted, last: sorted[sorted.length - 1] };
+    })
+    .sort((a, b) => b.last.createdAt - a.last.createdAt);
+};
+
+/* -------------------- ENCRYPTION -------------------- */
+// End-to-end encrypted messages. Each account has a P-256 ECDH keypair made on this device; the private
+// half never leaves it (it's kept in Store, next to the rest of the local data) and only the public half
+// goes to the service. A message is AES-GCM encrypted under the key both sides can derive from their
+// own private key and the other's public one, so the sender can read it back too. Old keys stay in the
+// keyring, and the service keeps every public key, so a key change doesn't lose history.
+//
+// message.cipher: { v: 1, iv, ct, senderKey, recipientKey }, iv and ct base64, keys by fingerprint
+const E2E = (() => {
+  const keyrings = new Map(); // userId -> Promise of [{ fingerprint, publicKey, privateKey, createdAt }], oldest first
+  const published = new Map(); // userId -> Promise of their public keys, fingerprints checked
+  const setups = new Map();
+  const plain = new Map(); // `${viewerId} ${messageId}` -> { state, text }
+
+  // hex SHA-256 of the raw public point; both sides can compute it, so comparing it catches a swapped key
+  const fingerprintOf = async (publicJwk) => {
+    const key = await crypto.subtle.importKey("jwk", publicJwk, { name: "ECDH", namedCurve: "P-256" }, true, []);
+    const digest = await crypto.subtle.digest("SHA-256", await crypto.subtle.exportKey("raw", key));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  };
+
+  const keyring = (userId) => {
+    if (!keyrings.has(userId)) keyrings.set(userId, Store.get(`e2e_${userId}`, []));
+    return keyrings.get(userId);
+  };
+
+  // a key the service hands back only counts if its fingerprint is really the key's
+  const keysOf = (service, userId) => {
+    if (!published.has(userId)) {
+      const p = service.fetchKeys(userId).then(async (list) => {
+        const checked = [];
+        for (const k of list) if ((await fingerprintOf(k.publicKey).catch(() => null)) === k.fingerprint) checked.push(k);
+        return checked;
+      });
+      p.catch(() => published.delete(userId));
+      published.set(userId, p);
+    }
+    return published.get(userId);
+  };
+
+  const sharedKey = async (privateJwk, publicJwk) => {
+    const curve = { name: "ECDH", namedCurve: "P-256" };
+    const priv = await crypto.subtle.importKey("jwk", privateJwk, curve, false, ["deriveKey"]);
+    const pub = await crypto.subtle.importKey("jwk", publicJwk, curve, false, []);
+    return crypto.subtle.deriveKey({ name: "ECDH", public: pub }, priv, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  };
+
+  // binds the ciphertext to who sent it to whom, under which keys
+  const aad = (from, to, c) => new TextEncoder().encode(`mindlink/1|${from}|${to}|${c.senderKey}|${c.recipientKey}`);
+
+  return {
+    fingerprintOf,
+    // Makes sure userId has a keypair on this device and that the service has its public half.
+    // -> this device's current fingerprint for them
+    setup: (service, userId) => {
+      if (!setups.has(userId)) {
+        const p = (async () => {
+          let ring = await keyring(userId);
+          if (!ring.length) {
+            const pair = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, true, ["deriveKey"]);
+            const publicKey = await crypto.subtle.exportKey("jwk", pair.publicKey);
+            const privateKey = await crypto.subtle.exportKey("jwk", pair.privateKey);
+            ring = [{ fingerprint: await fingerprintOf(publicKey), publicKey, privateKey, createdAt: Date.now() }];
+            await Store.set(`e2e_${userId}`, ring);
+            keyrings.set(userId, Promise.resolve(ring));
+          }
+          const { fingerprint, publicKey } = ring[ring.length - 1];
+          await service.publishKey(userId, { publicKey: { kty: publicKey.kty, crv: publicKey.crv, x: publicKey.x, y: publicKey.y }, fingerprint });
+          return fingerprint;
+        })();
+        p.catch(() => setups.delete(userId));
+        setups.set(userId, p);
+      }
+      return setups.get(userId);
+    },
+    // userId's published keys (oldest first), or [] if they haven't set up encrypted messaging
+    keysOf,
+    // drop what we know about userId's public keys, after they publish a new one
+    forget: (userId) => published.delete(userId),
+    // -> a message.cipher for text, from `from` to `to` under their key `recipientKey`
+    encrypt: async (service, from, to, text, recipientKey) => {
+      const ring = await keyring(from);
+      const mine = ring[ring.length - 1];
+      const theirs = (await keysOf(service, to)).find((k) => k.fingerprint === recipientKey);
+      if (!mine || !theirs) throw new Error("Encrypted messaging isn't ready for this conversation yet.");
+      const c = { v: 1, senderKey: mine.fingerprint, recipientKey };
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const key = await sharedKey(mine.privateKey, theirs.publicKey);
+      const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: aad(from, to, c) }, key, new TextEncoder().encode(text));
+      return { ...c, iv: b64.encode(iv), ct: b64.encode(ct) };
+    },
+    // -> { state: "ok", text } | { state: "legacy", text } for plaintext from before encryption
+    //    | { state: "failed", text: null } when this device can't read it
+    decrypt: async (service, viewerId, m) => {
+      if (!m.cipher) return { state: "legacy", text: m.body || "" };
+      const cacheKey = `${viewerId} ${m.id}`;
+      if (plain.has(cacheKey)) return plain.get(cacheKey);
+      const c = m.cipher;
+      const sent = m.from === viewerId;
+      const mine = (await keyring(viewerId)).find((k) => k.fingerprint === (sent ? c.senderKey : c.recipientKey));
+      const theirs = (await keysOf(service, sent ? m.to : m.from).catch(() => [])).find((k) => k.fingerprint === (sent ? c.recipientKey : c.senderKey));
+      if (!mine || !theirs) return { state: "failed", text: null };
+      try {
+        const key = await sharedKey(mine.privateKey, theirs.publicKey);
+        const bytes = await crypto.subtle.decrypt({ name: "AES-GCM", iv: b64.decode(c.iv), additionalData: aad(m.from, m.to, c) }, key, b64.decode(c.ct));
+        const out = { state: "ok", text: new TextDecoder().decode(bytes) };
+        plain.set(cacheKey, out);
+        return out;
+      } catch {
+        return { state: "failed", text: null };
+      }
+    },
+  };
+})();
+
+// "3F2A 9C01 …": the first 80 bits of a fingerprint, for reading out loud
+const formatFingerprint = (fp) => (fp || "").slice(0, 20).toUpperCase().match(/.{4}/g)?.join(" ") || "";
+
+// message id -> E2E.decrypt() result, filled in as messages are decrypted. Failures are retried
+// when someone publishes a new key, since that's usually what was missing.
+const useDecrypted = (messages, viewerId) => {
+  const service = useService();
+  const [plain, setPlain] = useState(() => new Map());
+
+  useEffect(() => {
+    setPlain(new Map()); // what one account decrypted isn't another's to show
+    return service.subscribe((e) => {
+      if (e.type !== "key") return;
+      E2E.forget(e.userId);
+      setPlain((prev) => new Map([...prev].filter(([, v]) => v.state !== "failed")));
+    });
+  }, [viewerId]);
+
+  useEffect(() => {
+    const todo = messages.filter((m) => !plain.has(m.id));
+    if (!todo.length) return;
+    let mounted = true;
+    Promise.all(todo.map(async (m) => [m.id, await E2E.decrypt(service, viewerId, m)])).then((done) => {
+      if (mounted) setPlain((prev) => new Map([...prev, ...done]));
+    });
+    return () => { mounted = false; };
+  }, [messages, viewerId, plain]);
+
+  return plain;
+};
+
+/* -------------------- ROUTER -------------------- */
+// [name, pattern]; ":name" segments capture, the first match wins
+const ROUTES = [
+  ["feed", "/"],
+  ["explore", "/explore"],
+  ["profile", "/u/:username"],
+  ["tag", "/tag/:tag"],
+  ["post", "/p/:postId"],
+  ["messages", "/messages"],
+  ["messages", "/messages/:userId"],
+  ["saved", "/saved"],
+  ["community", "/c/:slug"],
+  ["safety", "/settings/safety"],
+  ["moderation", "/moderation"],
+];
+
+const PATHS = {
+  feed: () => "/",
+  explore: () => "/explore",
+  profile: (username) => `/u/${encodeURIComponent(username)}`,
+  tag: (tag) => `/tag/${encodeURIComponent(tag)}`,
+  post: (postId) => `/p/${encodeURIComponent(postId)}`,
+  messages: (userId) => (userId ? `/messages/${encodeURIComponent(userId)}` : "/messages"),
+  saved: () => "/saved",
+  community: (slug) => `/c/${encodeURIComponent(slug)}`,
+  safety: () => "/settings/safety",
+  moderation: () => "/moderation",
+};
+
+// -> { name, params }; anything unknown is "notFound"
+const matchRoute = (pathname) => {
+  const parts = pathname.replace(/\/+$/, "").split("/").slice(1);
+  for (const [name, pattern] of ROUTES) {
+    const segs = pattern.split("/").slice(1).filter(Boolean);
+    if (segs.length !== parts.length) continue;
+    const params = {};
+    try {
+      if (segs.every((seg, i) => (seg.startsWith(":") ? (params[seg.slice(1)] = decodeURIComponent(parts[i])) !== "" : seg === parts[i]))) return { name, params };
+    } catch {} // malformed escape
+  }
+  return { name: "notFound", params: {} };
+};
+
+// scroll offsets per history entry, so back/forward land where you left off
+const SCROLL_KEY = "ml_scroll";
+const scrollMemory = {
+  get: (key) => {
+    try {
+      return JSON.parse(sessionStorage.getItem(SCROLL_KEY) || "{}")[key];
+    } catch {
+      return undefined;
+    }
+  },
+  set: (key, y) => {
+    try {
+      const all = JSON.parse(sessionStorage.getItem(SCROLL_KEY) || "{}");
+      sessionStorage.setItem(SCROLL_KEY, JSON.stringify({ ...all, [key]: y }));
+    } catch {}
+  },
+};
+
+// Pages render before their data does, so keep nudging until the document is tall enough.
+const restoreScroll = (y, tries = 20) => {
+  window.scrollTo(0, y);
+  if (Math.abs(window.scrollY - y) > 1 && tries > 0) setTimeout(() => restoreScroll(y, tries - 1), 50);
+};
+
+// Every entry we create carries { key, idx, ...state }: key for scroll memory, idx to know
+// whether "back" stays inside the app.
+function useRouter() {
+  const read = (pop = false) => ({ pathname: window.location.pathname, state: window.history.state || {}, pop });
+  const [location, setLocation] = useState(() => {
+    if (!window.history.state?.key) window.history.replaceState({ ...window.history.state, key: uid(), idx: 0 }, "");
+    return read();
+  });
+  const keyRef = useRef(location.state.key);
+
+  useEffect(() => {
+    window.history.scrollRestoration = "manual";
+    const onPop = () => {
+      scrollMemory.set(keyRef.current, window.scrollY);
+      setLocation(read(true));
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  useEffect(() => {
+    keyRef.current = location.state.key;
+    if (location.pop) restoreScroll(scrollMemory.get(location.state.key) || 0);
+  }, [location]);
+
+  const navigate = (to, { replace = false, state = {} } = {}) => {
+    scrollMemory.set(keyRef.current, window.scrollY);
+    const next = { ...state, key: uid(), idx: (window.history.state?.idx || 0) + (replace ? 0 : 1) };
+    window.history[replace ? "replaceState" : "pushState"](next, "", to);
+    setLocation(read());
+    if (!replace && !state.background) window.scrollTo({ top: 0 });
+  };
+
+  // back within the app when there is somewhere to go back to, otherwise to the fallback
+  const back = (fallback = "/") => (window.history.state?.idx > 0 ? window.history.back() : navigate(fallback, { replace: true }));
+
+  return { location, navigate, back };
+}
+
+/* -------------------- AVATAR -------------------- */
+function Avatar({ letter, size = 10, glow = false, theme }) {
+  const s = `${size * 0.25}rem`;
+  const style = {
+    width: s,
+    height: s,
+    borderRadius: 999,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    fontWeight: 700,
+    background: theme?.accentA,
+    color: "#fff",
+    boxShadow: glow ? `0 6px 30px ${theme?.accentA}55` : "none",
+  };
+  return <div style={style} className="flex-shrink-0">{letter}</div>;
+}
+
+/* -------------------- STORIES -------------------- */
+const STORY_SEGMENT_MS = 5000;
+const STORY_AUDIO_MAX_MS = 60000;
+const STORY_BACKGROUNDS = [
+  "linear-gradient(135deg,#ff007a,#7c3aed)",
+  "linear-gradient(135deg,#00ff9d,#0ea5e9)",
+  "linear-gradient(135deg,#f59e0b,#ef4444)",
+  "#0b1020",
+];
+
+// your own stories first, then unseen, then seen; newest activity first within each
+const orderStoryGroups = (groups, meId) => {
+  const rank = (g) => (g.authorId === meId ? 0 : g.unseen ? 1 : 2);
+  return groups.slice().sort((a, b) => rank(a) - rank(b) || b.latestAt - a.latestAt);
+};
+
+function StoriesBar({ users, groups, currentUser, onOpen, onCreate }) {
+  const ordered = orderStoryGroups(groups, currentUser.id);
+  const groupOf = (id) => ordered.find((g) => g.authorId === id);
+  const position = (u) => {
+    if (u.id === currentUser.id) return -1;
+    const i = ordered.findIndex((g) => g.authorId === u.id);
+    return i === -1 ? ordered.length : i;
+  };
+  const people = users.slice().sort((a, b) => position(a) - position(b));
+
+  return (
+    <div className="flex gap-3 overflow-x-auto py-2">
+      {people.map((u) => {
+        const g = groupOf(u.id);
+        const mine = u.id === currentUser.id;
+        const ring = !g ? "rgba(148,163,184,0.15)" : g.unseen ? "linear-gradient(90deg,#ff007a,#00ff9d)" : "rgba(148,163,184,0.45)";
+        return (
+          <div key={u.id} className="relative flex flex-col items-center gap-1 min-w-[64px]">
+            <button onClick={() => (mine && !g ? onCreate() : onOpen(u))} className="w-14 h-14 rounded-full p-0.5" style={{ background: ring }} aria-label={g ? `Open ${u.display}'s story` : u.display}>
+              <div className="w-full h-full rounded-full bg-black/80 flex items-center justify-center text-white font-semibold">{u.avatar}</div>
+            </button>
+            {mine && (
+              <button onClick={onCreate} className="absolute top-10 right-2 w-5 h-5 rounded-full text-xs font-bold leading-none" style={{ background: "#00ff9d", color: "#000" }} aria-label="Add to your story">+</button>
+            )}
+            <div className="text-[11px] text-slate-300">{mine ? "Your story" : u.display}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function StoryViewer({ groups, startAuthorId, currentUser, authorById, onSeen, onMessage, onOpenProfile, onClose, theme }) {
+  const [pos, setPos] = useState(() => {
+    const g = Math.max(0, groups.findIndex((x) => x.authorId === startAuthorId));
+    return { g, s: Math.max(0, groups[g].stories.findIndex((st) => !st.seen)) };
+  });
+  const [elapsed, setElapsed] = useState(0);
+  const [duration, setDuration] = useState(STORY_SEGMENT_MS);
+  const [paused, setPaused] = useState(false);
+  const audioRef = useRef(null);
+
+  const group = groups[pos.g];
+  const story = group?.stories[pos.s];
+  const author = group ? authorById(group.authorId) : null;
+  const media = useMedia(story?.mediaId);
+
+  // read through a ref so the once-registered key handler always sees the current segment
+  const posRef = useRef(pos);
+  posRef.current = pos;
+
+  // dir = +1 / -1 across segments, spilling over into the next / previous user
+  const step = (dir) => {
+    const { g, s } = posRef.current;
+    if (dir > 0) {
+      if (s + 1 < groups[g].stories.length) setPos({ g, s: s + 1 });
+      else if (g + 1 < groups.length) setPos({ g: g + 1, s: 0 });
+      else onClose();
+    } else if (s > 0) setPos({ g, s: s - 1 });
+    else if (g > 0) setPos({ g: g - 1, s: groups[g - 1].stories.length - 1 });
+    else setElapsed(0);
+  };
+
+  const jumpUser = (dir) => {
+    const next = posRef.current.g + dir;
+    if (next >= 0 && next < groups.length) setPos({ g: next, s: 0 });
+    else if (dir > 0) onClose();
+  };
+
+  useEffect(() => {
+    if (!story) {
+      onClose();
+      return;
+    }
+    setElapsed(0);
+    setDuration(STORY_SEGMENT_MS);
+    onSeen(story);
+  }, [story?.id]);
+
+  useEffect(() => {
+    if (paused || !story) return;
+    let raf;
+    let last = performance.now();
+    const tick = (t) => {
+      setElapsed((e) => e + (t - last));
+      last = t;
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [paused, story?.id]);
+
+  useEffect(() => {
+    if (story && elapsed >= duration) step(1);
+  }, [elapsed, duration]);
+
+  useEffect(() => {
+    const a = audioRef.current;
+    if (!a) return;
+    if (paused) a.pause();
+    else a.play().catch(() => {});
+  }, [paused, story?.id]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "ArrowRight") step(1);
+      else if (e.key === "ArrowLeft") step(-1);
+      else if (e.key === "ArrowDown") jumpUser(1);
+      else if (e.key === "ArrowUp") jumpUser(-1);
+      else if (e.key === "Escape") onClose();
+      else if (e.key === " ") setPaused((p) => !p);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  if (!story) return null;
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-[70] bg-black flex items-center justify-center" role="dialog" aria-modal="true" aria-label={`${author.display}'s story`}>
+      <div className="relative w-full h-full md:w-[420px] md:h-[90vh] md:rounded-2xl overflow-hidden" style={{ background: story.kind === "text" ? story.background || STORY_BACKGROUNDS[0] : "#000" }}>
+        <div className="absolute top-2 left-2 right-2 flex gap-1 z-20">
+          {group.stories.map((st, i) => (
+            <div key={st.id} className="h-1 flex-1 rounded-full bg-white/25 overflow-hidden">
+              <div className="h-full bg-white" style={{ width: `${i < pos.s ? 100 : i > pos.s ? 0 : Math.min(100, (elapsed / duration) * 100)}%` }} />
+            </div>
+          ))}
+        </div>
+
+        <div className="absolute top-5 left-3 right-3 flex items-center gap-2 z-20 text-white">
+          <button onClick={() => onOpenProfile(group.authorId)} className="flex items-center gap-2">
+            <Avatar letter={author.avatar} size={8} theme={theme} />
+            <div className="text-sm font-semibold">{author.display}</div>
+          </button>
+          <div className="text-xs opacity-70">{timeAgo(story.createdAt)}</div>
+          <div className="ml-auto flex gap-2">
+            <button onClick={() => setPaused((p) => !p)} className="text-xs px-2 py-1 rounded-md border border-white/30">{paused ? "Play" : "Pause"}</button>
+            <button onClick={onClose} className="text-xs px-2 py-1 rounded-md border border-white/30">Close</button>
+          </div>
+        </div>
+
+        <AnimatePresence mode="wait">
+          <motion.div key={story.id} initial={{ opacity: 0, scale: 0.98 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.2 }} className="absolute inset-0 flex items-center justify-center p-6">
+            {media?.error && <div className="text-white/70 text-sm">Couldn't load this story.</div>}
+            {story.kind === "image" && media?.url && <img src={media.url} alt={`${author.display}'s story`} className="max-h-full max-w-full object-contain" />}
+            {story.kind === "audio" && (
+              <div className="w-full text-center text-white">
+                <div className="text-5xl mb-4">♪</div>
+                <audio
+                  ref={audioRef}
+                  src={media?.url}
+                  autoPlay
+                  onLoadedMetadata={(e) => {
+                    const ms = e.currentTarget.duration * 1000;
+                    if (Number.isFinite(ms) && ms > 0) setDuration(Math.min(ms, STORY_AUDIO_MAX_MS));
+                  }}
+                />
+              </div>
+            )}
+            {story.kind === "text" && <div className="text-white text-2xl font-semibold text-center whitespace-pre-wrap break-words">{story.text}</div>}
+          </motion.div>
+        </AnimatePresence>
+
+        <button aria-label="Previous story" className="absolute left-0 top-16 bottom-16 w-1/3 z-10" onClick={() => step(-1)} />
+        <button aria-label="Next story" className="absolute right-0 top-16 bottom-16 w-2/3 z-10" onClick={() => step(1)} />
+
+        {group.authorId !== currentUser.id && (
+          <div className="absolute bottom-4 left-3 right-3 z-20">
+            <button onClick={() => onMessage(group.authorId)} className="w-full px-3 py-2 rounded-full border border-white/30 text-sm text-white text-left">Message {author.display}...</button>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+function StoryComposer({ currentUser, onClose, theme }) {
+  const service = useService();
+  const [text, setText] = useState("");
+  const [background, setBackground] = useState(STORY_BACKGROUNDS[0]);
+  const [media, setMedia] = useState(null); // { key, kind, processed?, preview? }; processed once processMedia is done
+  const [sharing, setSharing] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => () => media?.preview && URL.revokeObjectURL(media.preview), [media?.preview]);
+
+  // checked and processed like a post attachment, then uploaded when the story is shared
+  const handleFile = (file) => {
+    if (!file) return;
+    const kind = mediaKindOf(file);
+    if (!["image", "audio"].includes(kind)) {
+      setError("Stories support images and audio.");
+      return;
+    }
+    const problem = validateMedia(file);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const key = uid("a");
+    setError("");
+    setMedia({ key, kind });
+    processMedia(file)
+      .then((processed) => setMedia((m) => (m?.key === key ? { ...m, processed, preview: URL.createObjectURL(processed.blob) } : m)))
+      .catch((e) => {
+        setMedia((m) => (m?.key === key ? null : m));
+        setError(e.message);
+      });
+  };
+
+  const publish = async () => {
+    if (sharing) return;
+    if (media && !media.processed) {
+      setError("That file is still being processed.");
+      return;
+    }
+    let uploaded = null;
+    setSharing(true);
+    try {
+      if (media) uploaded = await service.uploadMedia(currentUser.id, media.processed);
+      await service.createStory(uploaded ? { authorId: currentUser.id, kind: media.kind, mediaId: uploaded.id } : { authorId: currentUser.id, kind: "text", text, background });
+      onClose();
+    } catch (e) {
+      // the story didn't go up, so nothing uses the upload; the next try uploads again
+      if (uploaded) service.deleteMedia(currentUser.id, uploaded.id).catch(() => {});
+      setError(e.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-end md:items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <motion.div initial={{ y: 100 }} animate={{ y: 0 }} exit={{ y: 100 }} className="relative w-full md:w-[420px] p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
+        <div className="text-sm font-semibold mb-2">New story · disappears after 24 hours</div>
+        {media ? (
+          <div className="mb-2">
+            {!media.preview ? (
+              <div className="text-xs opacity-70">Processing...</div>
+            ) : media.kind === "image" ? (
+              <img src={media.preview} alt="story preview" className="max-h-56 rounded-lg mx-auto" />
+            ) : (
+              <audio src={media.preview} controls className="w-full" />
+            )}
+            <button onClick={() => setMedia(null)} className="mt-2 text-xs underline">Remove</button>
+          </div>
+        ) : (
+          <>
+            <textarea value={text} onChange={(e) => setText(e.target.value)} rows={4} maxLength={280} placeholder="Say something..." className="w-full outline-none p-3 rounded-xl text-white font-semibold resize-none" style={{ background }} />
+            <div className="mt-2 flex gap-2">
+              {STORY_BACKGROUNDS.map((bg) => (
+                <button key={bg} onClick={() => setBackground(bg)} className="w-6 h-6 rounded-full" style={{ background: bg, outline: bg === background ? `2px solid ${theme.accentB}` : "none" }} aria-label="Background" />
+              ))}
+            </div>
+          </>
+        )}
+        <div className="mt-3 flex items-center gap-2">
+          <input type="file" accept={[...MEDIA_TYPES.image, ...MEDIA_TYPES.audio].join(",")} onChange={(e) => handleFile(e.target.files?.[0])} className="text-xs flex-1" />
+          <button onClick={publish} disabled={sharing} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Share story</button>
+          <button onClick={onClose} className="px-3 py-1 rounded-md border">Cancel</button>
+        </div>
+        {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+/* -------------------- MEDIA -------------------- */
+// what Composer accepts; images are re-encoded, video and audio are kept as they are
+const MEDIA_TYPES = {
+  image: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+  video: ["video/mp4", "video/webm", "video/quicktime"],
+  audio: ["audio/mpeg", "audio/mp4", "audio/x-m4a", "audio/ogg", "audio/wav", "audio/webm"],
+};
+const IMAGE_MAX_EDGE = 1600;
+const THUMB_MAX_EDGE = 320;
+const IMAGE_QUALITY = 0.82;
+
+const formatBytes = (n) => (n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(n / 1024)} kB`);
+
+const mediaKindOf = (file) => MEDIA_KINDS.find((k) => MEDIA_TYPES[k].includes(file.type)) || null;
+
+// -> a message to show, or null if the file is fine
+const validateMedia = (file) => {
+  const kind = mediaKindOf(file);
+  if (!kind) return `${file.name}: ${file.type || "this type of file"} isn't supported — use JPEG, PNG, WebP, GIF, MP4, WebM or common audio formats.`;
+  if (file.size > MEDIA_LIMITS[kind]) return `${file.name} is ${formatBytes(file.size)}; ${kind} files can be up to ${formatBytes(MEDIA_LIMITS[kind])}.`;
+  return null;
+};
+
+const canvasBlob = (canvas, type) => new Promise((resolve) => canvas.toBlob(resolve, type, IMAGE_QUALITY));
+
+// -> { blob, width, height } of source scaled down to fit maxEdge; WebP where the browser can encode it, else JPEG
+const drawScaled = async (source, width, height, maxEdge) => {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  let blob = await canvasBlob(canvas, "image/webp");
+  if (blob?.type !== "image/webp") blob = await canvasBlob(canvas, "image/jpeg");
+  if (!blob) throw new Error("Couldn't encode the image.");
+  return { blob, width: canvas.width, height: canvas.height };
+};
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => resolve({ img, release: () => URL.revokeObjectURL(url) });
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} couldn't be read as an image.`));
+    };
+    img.src = url;
+  });
+
+const processImage = async (file) => {
+  const { img, release } = await loadImage(file);
+  try {
+    const w = img.naturalWidth;
+    const h = img.naturalHeight;
+    const thumb = await drawScaled(img, w, h, THUMB_MAX_EDGE);
+    // GIFs would lose their animation, and a small image can come out of the encoder bigger than it went in
+    let full = file.type === "image/gif" ? null : await drawScaled(img, w, h, IMAGE_MAX_EDGE);
+    if (!full || (full.blob.size >= file.size && Math.max(w, h) <= IMAGE_MAX_EDGE)) full = { blob: file, width: w, height: h };
+    return { kind: "image", blob: full.blob, thumb: thumb.blob, width: full.width, height: full.height };
+  } finally {
+    release();
+  }
+};
+
+// the poster is a frame a second in (or halfway through shorter clips)
+const processVideo = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} couldn't be read as a video.`));
+    };
+    video.onloadedmetadata = () => {
+      video.currentTime = Math.min(1, (video.duration || 0) / 2);
+    };
+    video.onseeked = async () => {
+      try {
+        const { videoWidth: w, videoHeight: h } = video;
+        const poster = await drawScaled(video, w, h, IMAGE_MAX_EDGE);
+        const thumb = await drawScaled(video, w, h, THUMB_MAX_EDGE);
+        resolve({ kind: "video", blob: file, poster: poster.blob, thumb: thumb.blob, width: w, height: h, duration: video.duration });
+      } catch (e) {
+        reject(e);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+    video.src = url;
+  });
+
+const processAudio = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const audio = new Audio();
+    const done = (duration) => {
+      URL.revokeObjectURL(url);
+      resolve({ kind: "audio", blob: file, duration });
+    };
+    audio.onloadedmetadata = () => done(Number.isFinite(audio.duration) ? audio.duration : null);
+    audio.onerror = () => done(null);
+    audio.preload = "metadata";
+    audio.src = url;
+  });
+
+const processMedia = (file) => ({ image: processImage, video: processVideo, audio: processAudio })[mediaKindOf(file)](file);
+
+// -> null while loading, what fetchMedia() returned, or { error } when it couldn't be fetched (offline, ...)
+const useMedia = (id) => {
+  const service = useService();
+  const [media, setMedia] = useState(null);
+  useEffect(() => {
+    let mounted = true;
+    setMedia(null);
+    if (!id) return;
+    service.fetchMedia(id).then(
+      (m) => { if (mounted) setMedia(m); },
+      (e) => { if (mounted) setMedia({ error: e.message }); },
+    );
+    return () => { mounted = false; };
+  }, [id]);
+  return media;
+};
+
+// one attachment at full size; the stored width/height hold its space while it loads
+function MediaItem({ attachment }) {
+  const media = useMedia(attachment.id);
+  const ratio = attachment.width && attachment.height ? `${attachment.width} / ${attachment.height}` : undefined;
+  if (media?.error) return <div className="text-xs text-slate-400" title={media.error}>Couldn't load this attachment.</div>;
+  if (attachment.kind === "audio") return media ? <audio controls preload="metadata" src={media.url} className="w-full" /> : null;
+  if (attachment.kind === "file") return media ? <a href={media.url} download className="text-xs underline">Attachment</a> : null;
+  return (
+    <div className="w-full rounded-xl overflow-hidden bg-black/20" style={{ aspectRatio: ratio || "4 / 3", maxHeight: 420 }}>
+      {media &&
+        (attachment.kind === "video" ? (
+          <video controls preload="none" poster={media.posterUrl || undefined} src={media.url} className="w-full h-full object-contain" />
+        ) : (
+          <img src={media.url} alt="" loading="lazy" className="w-full h-full object-cover" />
+        ))}
+    </div>
+  );
+}
+
+// small square preview for grids and quotes
+function MediaThumb({ attachment, className = "" }) {
+  const media = useMedia(attachment.id);
+  if (attachment.kind === "audio" || attachment.kind === "file") return <div className={`flex items-center justify-center bg-white/5 ${className}`}>♪</div>;
+  const src = media && (media.thumbUrl || media.posterUrl || media.url);
+  return (
+    <div className={`relative bg-black/20 overflow-hidden ${className}`} title={media?.error ? "Couldn't load this attachment." : undefined}>
+      {src && <img src={src} alt="" loading="lazy" className="w-full h-full object-cover" />}
+      {media?.error && <span className="absolute inset-0 flex items-center justify-center text-slate-400 text-xs">!</span>}
+      {attachment.kind === "video" && <span className="absolute inset-0 flex items-center justify-center text-white text-lg drop-shadow">▶</span>}
+    </div>
+  );
+}
+
+function MediaGallery({ attachments, theme }) {
+  const [index, setIndex] = useState(0);
+  if (attachments.length === 1) return <div className="mt-3"><MediaItem attachment={attachments[0]} /></div>;
+  const go = (d) => setIndex((i) => (i + d + attachments.length) % attachments.length);
+  return (
+    <div className="mt-3 relative" tabIndex={0} onKeyDown={(e) => { if (e.key === "ArrowLeft") go(-1); if (e.key === "ArrowRight") go(1); }} aria-roledescription="carousel">
+      <motion.div key={index} initial={{ opacity: 0 }} animate={{ opacity: 1 }} drag="x" dragConstraints={{ left: 0, right: 0 }} onDragEnd={(e, info) => { if (Math.abs(info.offset.x) > 60) go(info.offset.x < 0 ? 1 : -1); }}>
+        <MediaItem attachment={attachments[index]} />
+      </motion.div>
+      <button onClick={() => go(-1)} aria-label="Previous" className="absolute left-2 top-1/2 -translate-y-1/2 w-7 h-7 rounded-full bg-black/50 text-white">‹</button>
+      <button onClick={() => go(1)} aria-label="Next" className="absolute right-2 top-1/2 -translate-y-1/2 w-7 h-7 rounded-full bg-black/50 text-white">›</button>
+      <div className="mt-2 flex justify-center gap-1">
+        {attachments.map((a, i) => (
+          <button key={a.id} onClick={() => setIndex(i)} aria-label={`Attachment ${i + 1}`} className="w-2 h-2 rounded-full" style={{ background: i === index ? theme.accentB : "rgba(255,255,255,0.25)" }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- RICH TEXT -------------------- */
+// Renders parseRichText() output. Search terms are highlighted inside plain text; `inert` draws links,
+// mentions and tags without making them clickable, for text that sits inside another button.
+function RichText({ text, terms, userByUsername, onOpenProfile, onOpenTag, onNavigate, inert = false, theme }) {
+  const accent = { color: theme.accentB };
+  const render = (segments) =>
+    segments.map((seg, i) => {
+      if (seg.type === "text") return <Highlight key={i} text={seg.text} terms={terms} />;
+      if (seg.type === "code") return <code key={i} className="px-1 rounded bg-white/10 font-mono text-[0.85em]">{seg.text}</code>;
+      if (seg.type === "bold") return <strong key={i}>{render(seg.children)}</strong>;
+      if (seg.type === "italic") return <em key={i}>{render(seg.children)}</em>;
+      if (inert) return <span key={i} style={accent}>{seg.text}</span>;
+      if (seg.type === "link") {
+        const url = new URL(seg.href);
+        const local = url.origin === window.location.origin && onNavigate;
+        return (
+          <a
+            key={i}
+            href={seg.href}
+            target={local ? undefined : "_blank"}
+            rel="noopener noreferrer nofollow ugc"
+            onClick={local ? (e) => { e.preventDefault(); onNavigate(url.pathname); } : undefined}
+            className="underline break-all"
+            style={accent}
+          >
+            {seg.text}
+          </a>
+        );
+      }
+      if (seg.type === "mention") {
+        const user = userByUsername?.(seg.username);
+        if (!user) return seg.text;
+        return <button key={i} onClick={() => onOpenProfile?.(user.id)} title={user.display} className="hover:underline" style={accent}>{seg.text}</button>;
+      }
+      return <button key={i} onClick={() => onOpenTag?.(seg.tag)} className="hover:underline" style={accent}>{seg.text}</button>;
+    });
+  return render(parseRichText(text));
+}
+
+const linkPreviews = new Map(); // `${viewerId} ${url}` -> Promise of a preview
+
+// the card under a post for its first link
+function LinkPreview({ url, viewerId, onNavigate, theme }) {
+  const service = useService();
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    const key = `${viewerId} ${url}`;
+    if (!linkPreviews.has(key)) linkPreviews.set(key, service.fetchLinkPreview(url, viewerId).catch(() => null));
+    linkPreviews.get(key).then((p) => { if (mounted) setPreview(p); });
+    return () => { mounted = false; };
+  }, [url, viewerId]);
+
+  if (!preview) return null;
+  const local = preview.internal && onNavigate;
+  return (
+    <a
+      href={preview.url}
+      target={local ? undefined : "_blank"}
+      rel="noopener noreferrer nofollow ugc"
+      onClick={local ? (e) => { e.preventDefault(); onNavigate(new URL(preview.url).pathname); } : undefined}
+      className="mt-3 block p-3 rounded-xl border border-white/10 hover:bg-white/5"
+    >
+      <div className="text-[11px] text-slate-400">{preview.internal ? "MindLink" : preview.host}</div>
+      <div className="text-sm font-semibold truncate" style={{ color: theme.text }}>{preview.title}</div>
+      {preview.description && <div className="text-xs text-slate-400 line-clamp-2 break-all">{preview.description}</div>}
+    </a>
+  );
+}
+
+const MAX_SUGGESTIONS = 6;
+
+// the @name or #tag being typed right before the caret -> { kind, query, start } or null
+const tokenAtCaret = (text, caret) => {
+  const m = /(?:^|[^\w@#&/])([@#])(\w{0,20})$/.exec(text.slice(0, caret));
+  return m ? { kind: m[1] === "@" ? "user" : "tag", query: m[2].toLowerCase(), start: caret - m[2].length - 1 } : null;
+};
+
+// A textarea that offers people after "@" and tags after "#": ↑/↓ move, Enter or Tab picks, Esc closes.
+function RichTextarea({ value, onChange, currentUser, theme, className = "", ...rest }) {
+  const service = useService();
+  const ref = useRef(null);
+  const [token, setToken] = useState(null);
+  const [options, setOptions] = useState([]);
+  const [active, setActive] = useState(0);
+  const [users, setUsers] = useState(null);
+
+  const sync = () => {
+    const el = ref.current;
+    setToken(el && el.selectionStart === el.selectionEnd ? tokenAtCaret(el.value, el.selectionStart) : null);
+  };
+
+  useEffect(() => {
+    // without them there's just nothing to suggest; the next @ tries again
+    if (token?.kind === "user" && !users) service.fetchUsers().then(setUsers, (e) => console.error(e));
+  }, [token?.kind]);
+
+  useEffect(() => {
+    if (!token) {
+      setOptions([]);
+      return;
+    }
+    let mounted = true;
+    if (token.kind === "user") {
+      const q = token.query;
+      setOptions(
+        (users || [])
+          .filter((u) => u.id !== currentUser.id && (u.username.startsWith(q) || u.display.toLowerCase().startsWith(q)))
+          .slice(0, MAX_SUGGESTIONS)
+          .map((u) => ({ key: u.id, insert: `@${u.username}`, user: u }))
+      );
+    } else {
+      service.fetchTagSuggestions(token.query, MAX_SUGGESTIONS).then(
+        (tags) => {
+          if (mounted) setOptions(tags.map((t) => ({ key: t.tag, insert: `#${t.tag}`, tag: t })));
+        },
+        (e) => {
+          console.error(e);
+          if (mounted) setOptions([]);
+        },
+      );
+    }
+    setActive(0);
+    return () => { mounted = false; };
+  }, [token?.kind, token?.query, token?.start, users]);
+
+  const pick = (option) => {
+    const el = ref.current;
+    const end = token.start + 1 + token.query.length;
+    const next = `${value.slice(0, token.start)}${option.insert} ${value.slice(end).replace(/^ /, "")}`;
+    const caret = token.start + option.insert.length + 1;
+    onChange(next);
+    setToken(null);
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(caret, caret);
+    });
+  };
+
+  const onKeyDown = (e) => {
+    if (!options.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i + (e.key === "ArrowDown" ? 1 : options.length - 1)) % options.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      pick(options[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setToken(null);
+    }
+  };
+
+  const [listId] = useState(() => uid("suggest"));
+  const open = options.length > 0;
+  return (
+    <div className="relative">
+      <textarea
+        {...rest}
+        ref={ref}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); sync(); }}
+        onSelect={sync}
+        onKeyDown={onKeyDown}
+        onBlur={() => setToken(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open ? `${listId}-${active}` : undefined}
+        className={className}
+      />
+      {open && (
+        <ul id={listId} role="listbox" className="absolute left-0 z-30 mt-1 w-64 py-1 rounded-lg shadow-lg text-xs" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+          {options.map((o, i) => (
+            <li
+              key={o.key}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseDown={(e) => { e.preventDefault(); pick(o); }}
+              onMouseEnter={() => setActive(i)}
+              className={`px-3 py-1.5 flex items-center gap-2 cursor-pointer ${i === active ? "bg-white/10" : ""}`}
+            >
+              {o.user ? (
+                <>
+                  <Avatar letter={o.user.avatar} size={5} theme={theme} />
+                  <span className="font-semibold">{o.user.display}</span>
+                  <span className="text-slate-400">@{o.user.username}</span>
+                </>
+              ) : (
+                <>
+                  <span style={{ color: theme.accentB }}>#{o.tag.tag}</span>
+                  <span className="ml-auto text-slate-400">{o.tag.count} post{o.tag.count === 1 ? "" : "s"}</span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- COMPOSER -------------------- */
+// `${date}T${time}` for a datetime-local input, in local time
+const toLocalInput = (ms) => {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+};
+
+const DRAFT_SAVE_DELAY = 500;
+
+function Composer({ currentUser, rooms = [], communityId = null, onCreate, theme }) {
+  const service = useService();
+  // one draft for the main feed and one per room, so switching between them doesn't mix them up
+  const draftKey = userKey(currentUser.id, communityId ? `ml_draft_${communityId}` : "ml_draft");
+  const [draft] = useState(() => LS.get(draftKey, {}));
+  const [roomId, setRoomId] = useState(communityId || draft.roomId || "");
+  const limit = currentUser.premium ? POST_LIMITS.premium : POST_LIMITS.free;
+  const [text, setText] = useState(draft.text || "");
+  const [tags, setTags] = useState(draft.tags || "");
+  const [savedAt, setSavedAt] = useState(draft.savedAt || null);
+  const [scheduling, setScheduling] = useState(false);
+  const [publishAt, setPublishAt] = useState("");
+  const [notice, setNotice] = useState("");
+  const [attachments, setAttachments] = useState([]); // { key, name, kind, processed?, preview? } — no `processed` while still working
+  const [mediaErrors, setMediaErrors] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [posting, setPosting] = useState(false);
+  const inputRef = useRef();
+  const attachmentsRef = useRef(attachments);
+  attachmentsRef.current = attachments;
+
+  useEffect(() => () => attachmentsRef.current.forEach((a) => a.preview && URL.revokeObjectURL(a.preview)), []);
+
+  useEffect(() => {
+    const t = setTimeout(() => {
+      if (!text.trim() && !tags.trim()) {
+        LS.remove(draftKey);
+        setSavedAt(null);
+        return;
+      }
+      const at = Date.now();
+      LS.set(draftKey, { text, tags, roomId: communityId ? null : roomId, savedAt: at });
+      setSavedAt(at);
+    }, DRAFT_SAVE_DELAY);
+    return () => clearTimeout(t);
+  }, [draftKey, text, tags, roomId]);
+
+  // a scheduled post taken back off the schedule to be reworked
+  const restore = (post) => {
+    setText(post.content || "");
+    setTags((post.tags || []).join(", "));
+    if (!communityId) setRoomId(post.communityId || "");
+  };
+
+  // from the file picker, a drop or a paste
+  const addFiles = (files) => {
+    const errors = [];
+    let room = MAX_ATTACHMENTS - attachments.length;
+    for (const file of files) {
+      const problem = validateMedia(file);
+      if (problem) {
+        errors.push(problem);
+        continue;
+      }
+      if (room-- <= 0) {
+        errors.push(`Up to ${MAX_ATTACHMENTS} attachments per post.`);
+        break;
+      }
+      const key = uid("a");
+      setAttachments((a) => [...a, { key, name: file.name, kind: mediaKindOf(file) }]);
+      processMedia(file)
+        .then((processed) => {
+          const preview = URL.createObjectURL(processed.thumb || processed.blob);
+          setAttachments((a) => a.map((x) => (x.key === key ? { ...x, processed, preview } : x)));
+        })
+        .catch((e) => {
+          setAttachments((a) => a.filter((x) => x.key !== key));
+          setMediaErrors((errs) => [...errs, e.message]);
+        });
+    }
+    setMediaErrors(errors);
+    if (inputRef.current) inputRef.current.value = "";
+  };
+
+  const removeAttachment = (key) => {
+    const a = attachments.find((x) => x.key === key);
+    if (a?.preview) URL.revokeObjectURL(a.preview);
+    setAttachments((list) => list.filter((x) => x.key !== key));
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles([...e.dataTransfer.files]);
+  };
+
+  const onPaste = (e) => {
+    const files = [...e.clipboardData.files];
+    if (!files.length) return;
+    e.preventDefault();
+    addFiles(files);
+  };
+
+  const submit = async () => {
+    if (posting) return;
+    if (attachments.some((a) => !a.processed)) {
+      setMediaErrors(["Attachments are still being processed."]);
+      return;
+    }
+    if (!text.trim() && !attachments.length) {
+      alert("Write something or attach media.");
+      return;
+    }
+    const at = scheduling ? new Date(publishAt).getTime() : null;
+    if (scheduling && !Number.isFinite(at)) {
+      alert("Pick when it should go out.");
+      return;
+    }
+    let created;
+    const media = [];
+    setPosting(true);
+    try {
+      for (const a of attachments) media.push(await service.uploadMedia(currentUser.id, a.processed));
+      const post = {
+        authorId: currentUser.id,
+        content: text.trim(),
+        attachments: media.map((m) => m.id),
+        tags: [...new Set(tags.split(",").map(normalizeTag).filter(Boolean))],
+        communityId: roomId || null,
+      };
+      if (scheduling) await service.schedulePost(post, at);
+      else created = await service.createPost(post);
+    } catch (e) {
+      // the post didn't go out, so nothing uses what was uploaded for it; the next try uploads again
+      media.forEach((m) => service.deleteMedia(currentUser.id, m.id).catch(() => {}));
+      alert(e.message);
+      return;
+    } finally {
+      setPosting(false);
+    }
+    setText("");
+    setTags("");
+    attachments.forEach((a) => URL.revokeObjectURL(a.preview));
+    setAttachments([]);
+    setMediaErrors([]);
+    microPop(document.querySelector("body"));
+    if (scheduling) {
+      setNotice(`Scheduled for ${new Date(at).toLocaleString()}.`);
+      setScheduling(false);
+      setPublishAt("");
+    } else {
+      setNotice("");
+      onCreate(created);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); }}
+      onDrop={onDrop}
+      className="p-4 rounded-2xl"
+      style={{ background: theme.card, border: dragging ? `1px dashed ${theme.accentB}` : `1px solid ${theme.soft}` }}
+    >
+      <div className="flex gap-3">
+        <Avatar letter={currentUser.avatar} size={12} glow theme={theme} />
+        <div className="flex-1">
+          <RichTextarea value={text} onChange={setText} onPaste={onPaste} currentUser={currentUser} theme={theme} placeholder="Share text, photos, video or a creative clip... @mention people, #tag topics" className="w-full bg-transparent resize-none outline-none text-sm min-h-[64px]" />
+          <div className="flex justify-between text-[11px] text-slate-400">
+            <span>{savedAt && (text.trim() || tags.trim()) ? "Draft saved" : ""}</span>
+            {text.length > limit * 0.8 && (
+              <span className={text.length > limit ? "text-red-400" : ""}>
+                {text.length}/{limit}{!currentUser.premium && " · Premium allows " + POST_LIMITS.premium}
+              </span>
+            )}
+          </div>
+          {attachments.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {attachments.map((a) => (
+                <div key={a.key} className="relative w-20 h-20 rounded-lg overflow-hidden bg-white/5 flex items-center justify-center text-[10px] text-slate-300" title={a.processed ? `${a.name} · ${formatBytes(a.processed.blob.size)}` : a.name}>
+                  {!a.processed ? "Processing…" : a.kind === "audio" ? "♪ Audio" : <img src={a.preview} alt={a.name} className="w-full h-full object-cover" />}
+                  {a.kind === "video" && a.processed && <span className="absolute inset-0 flex items-center justify-center text-white drop-shadow">▶</span>}
+                  <button onClick={() => removeAttachment(a.key)} aria-label={`Remove ${a.name}`} className="absolute top-0.5 right-0.5 w-5 h-5 rounded-full bg-black/60 text-white text-xs">✕</button>
+                </div>
+              ))}
+            </div>
+          )}
+          {dragging && <div className="mt-2 text-xs" style={{ color: theme.accentB }}>Drop to attach</div>}
+          {mediaErrors.map((err, i) => <div key={i} className="mt-1 text-xs text-red-400">{err}</div>)}
+          <div className="mt-2 flex items-center gap-2">
+            <input ref={inputRef} type="file" multiple accept={Object.values(MEDIA_TYPES).flat().join(",")} onChange={(e) => addFiles([...(e.target.files || [])])} className="text-xs" />
+            <input placeholder="more tags, comma separated" value={tags} onChange={(e) => setTags(e.target.value)} className="px-2 py-1 rounded-md text-xs bg-transparent border border-white/6 flex-1" />
+            {rooms.length > 0 && (
+              <select value={roomId} onChange={(e) => setRoomId(e.target.value)} aria-label="Post to" className="px-1 py-1 rounded-md text-xs bg-transparent border border-white/6">
+                <option value="">Everyone</option>
+                {rooms.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+            )}
+            <button onClick={() => setScheduling((v) => !v)} aria-pressed={scheduling} title="Schedule for later" className="px-2 py-1 rounded-md text-xs border border-white/6" style={scheduling ? { borderColor: theme.accentB, color: theme.accentB } : undefined}>⏱</button>
+            <button onClick={submit} disabled={posting} className="px-3 py-1 rounded-md font-semibold" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>{posting ? "Posting…" : scheduling ? "Schedule" : "Post"}</button>
+          </div>
+          {scheduling && (
+            <label className="mt-2 flex items-center gap-2 text-xs text-slate-300">
+              Publish at
+              <input
+                type="datetime-local"
+                value={publishAt}
+                min={toLocalInput(Date.now() + SCHEDULE_MIN_MS)}
+                max={toLocalInput(Date.now() + SCHEDULE_MAX_MS)}
+                onChange={(e) => setPublishAt(e.target.value)}
+                className="px-2 py-1 rounded-md bg-transparent border border-white/6"
+              />
+            </label>
+          )}
+          {notice && <div className="mt-2 text-xs" style={{ color: theme.accentB }}>{notice}</div>}
+          <ScheduledPosts currentUser={currentUser} communityId={communityId} onRestore={restore} theme={theme} />
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+// what's waiting to go out from this composer (the main one or a room's); collapsed to a count
+function ScheduledPosts({ currentUser, communityId, onRestore, theme }) {
+  const service = useService();
+  const [list, setList] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const all = await service.fetchScheduled(currentUser.id);
+        if (!mounted) return;
+        setList(all.filter((x) => (communityId ? x.post.communityId === communityId : true)));
+        setLoadError("");
+      } catch (e) {
+        if (mounted) setLoadError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "scheduled" && e.userIds.includes(currentUser.id)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id, communityId]);
+
+  if (!list.length) return loadError ? <div className="mt-2 text-xs text-slate-400">Couldn't load your scheduled posts: {loadError}</div> : null;
+  const failed = list.filter((x) => x.error).length;
+
+  const cancel = async (entry, edit) => {
+    try {
+      await service.cancelScheduled(currentUser.id, entry.id);
+      if (edit) onRestore(entry.post);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      <button onClick={() => setOpen((o) => !o)} aria-expanded={open} className="text-slate-400 hover:underline">
+        ⏱ {list.length} scheduled{failed ? ` · ${failed} couldn't go out` : ""} {open ? "▴" : "▾"}
+      </button>
+      {open && (
+        <div className="mt-1 space-y-1">
+          {list.map((x) => (
+            <div key={x.id} className="p-2 rounded-md bg-white/3 flex items-start gap-2">
+              <div className="flex-1 min-w-0">
+                <div className="text-slate-400">{new Date(x.publishAt).toLocaleString()}{x.post.attachments?.length ? ` · ${x.post.attachments.length} attachment${x.post.attachments.length === 1 ? "" : "s"}` : ""}</div>
+                <div className="truncate">{x.post.content || "(media only)"}</div>
+                {x.error && <div className="text-red-400">{x.error}</div>}
+              </div>
+              {!x.post.attachments?.length && <button onClick={() => cancel(x, true)} className="underline" style={{ color: theme.accentB }}>Edit</button>}
+              <button onClick={() => cancel(x, false)} className="underline text-slate-400">Cancel</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const SCHEDULER_IDLE_MS = 1000 * 60;
+
+// Publishes the user's scheduled posts as they come due, for as long as they're signed in. Tabs take
+// turns through a Web Lock so two of them never publish the same post.
+const usePostScheduler = (userId) => {
+  const service = useService();
+  useEffect(() => {
+    let timer = null;
+    let stopped = false;
+    const run = () => service.publishDue(userId);
+    const tick = async () => {
+      clearTimeout(timer);
+      let nextAt = null;
+      try {
+        ({ nextAt } = await (navigator.locks ? navigator.locks.request("mindlink-scheduler", run) : run()));
+      } catch {} // offline or the backend is down; the next tick tries again
+      if (stopped) return;
+      clearTimeout(timer);
+      timer = setTimeout(tick, nextAt ? Math.min(Math.max(nextAt - Date.now(), 1000), SCHEDULER_IDLE_MS) : SCHEDULER_IDLE_MS);
+    };
+    tick();
+    const off = service.subscribe((e) => {
+      if (e.type === "scheduled") tick();
+    });
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      off();
+    };
+  }, [service, userId]);
+};
+
+/* -------------------- POST CARD -------------------- */
+// the ❤ counter; opens a list of who liked the post
+function LikedBy({ post, theme }) {
+  const service = useService();
+  const [open, setOpen] = useState(false);
+  const [likers, setLikers] = useState(null);
+  const [error, setError] = useState("");
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let mounted = true;
+    service.fetchLikers(post.id).then(
+      (l) => {
+        if (!mounted) return;
+        setLikers(l);
+        setError("");
+      },
+      (e) => { if (mounted) setError(e.message); },
+    );
+    const onDown = (e) => { if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => { mounted = false; document.removeEventListener("mousedown", onDown); };
+  }, [open, post.id, post.likes]);
+
+  return (
+    <div ref={boxRef} className="relative">
+      <button onClick={() => setOpen((o) => !o)} disabled={!post.likes} className="text-xs text-slate-300" aria-haspopup="true" aria-expanded={open}>{post.likes} ❤</button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 p-2 rounded-lg shadow-lg z-20" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+          <div className="text-[11px] text-slate-400 mb-1">Liked by</div>
+          {error ? (
+            <div className="text-xs text-red-400">Couldn't load who liked this: {error}</div>
+          ) : !likers ? (
+            <div className="text-xs text-slate-400">Loading...</div>
+          ) : (
+            <div className="max-h-40 overflow-y-auto space-y-1">
+              {likers.map((u) => (
+                <div key={u.id} className="flex items-center gap-2 text-xs">
+                  <Avatar letter={u.avatar} size={5} theme={theme} />
+                  <span>{u.display}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const COMMENTS_PREVIEW = 2;
+const MAX_REPLY_INDENT = 3;
+
+const permalink = (postId) => `${window.location.origin}${PATHS.post(postId)}`;
+
+// Share: repost / quote / copy link, plus the system share sheet where there is one
+function ShareMenu({ post, onRepost, onQuote, theme }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const boxRef = useRef(null);
+  const shares = post.reposts + post.quotes;
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const act = (fn) => () => {
+    setOpen(false);
+    fn();
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(permalink(post.id));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      prompt("Copy this link:", permalink(post.id));
+    }
+  };
+
+  const shareNative = async () => {
+    try {
+      await navigator.share({ title: "MindLink", text: post.content.slice(0, 120), url: permalink(post.id) });
+    } catch {} // dismissed
+  };
+
+  const item = "w-full text-left px-2 py-1 rounded-md text-xs hover:bg-white/5";
+
+  return (
+    <div ref={boxRef} className="relative">
+      <button onClick={() => setOpen((o) => !o)} aria-haspopup="true" aria-expanded={open} title={`${post.reposts} reposts · ${post.quotes} quotes`} className="px-2 py-1 rounded-md border text-xs" style={post.repostedByMe ? { borderColor: theme.accentB, color: theme.accentB } : undefined}>
+        {copied ? "Link copied" : `Share${shares ? ` · ↻ ${shares}` : ""}`}
+      </button>
+      {open && (
+        <div className="absolute left-0 mt-1 w-40 p-1 rounded-lg shadow-lg z-20" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+          {onRepost && <button onClick={act(() => onRepost(post))} className={item}>{post.repostedByMe ? "Undo repost" : "↻ Repost"}</button>}
+          {onQuote && <button onClick={act(() => onQuote(post))} className={item}>❝ Quote</button>}
+          <button onClick={act(copyLink)} className={item}>Copy link</button>
+          {typeof navigator.share === "function" && <button onClick={act(shareNative)} className={item}>Share via…</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// every version of an edited post, newest first
+function RevisionsDialog({ post, currentUser, onClose, theme }) {
+  const service = useService();
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    service.fetchRevisions(post.id, currentUser.id).then((v) => setVersions(v.slice().reverse()), (e) => setError(e.message));
+  }, [post.id, post.editedAt]);
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-end md:items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <motion.div initial={{ y: 100 }} animate={{ y: 0 }} exit={{ y: 100 }} className="relative w-full md:w-[560px] max-h-[80vh] overflow-y-auto p-4 rounded-2xl" style={{ background: theme.bg, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-sm font-semibold">Edit history</div>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400">✕</button>
+        </div>
+        {error && <div className="text-xs text-red-400">{error}</div>}
+        {!versions && !error && <div className="text-xs text-slate-400">Loading...</div>}
+        <div className="space-y-2">
+          {versions?.map((v, i) => (
+            <div key={i} className="p-2 rounded-md bg-white/3">
+              <div className="text-[11px] text-slate-400">
+                {new Date(v.createdAt).toLocaleString()} · {i === 0 ? "current" : i === versions.length - 1 ? "original" : `version ${versions.length - i}`}
+              </div>
+              <div className="mt-1 text-sm whitespace-pre-wrap break-words"><RichText text={v.content} inert theme={theme} /></div>
+            </div>
+          ))}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// the post a quote points at, shown small and inert; clicking opens its permalink
+function QuotedPost({ post, authorById, onOpenPost, theme }) {
+  if (!post) return <div className="mt-3 p-3 rounded-xl text-xs text-slate-400 border border-white/10">The original post is no longer available.</div>;
+  const author = authorById(post.authorId);
+  return (
+    <button onClick={() => onOpenPost?.(post.id)} className="mt-3 w-full p-3 rounded-xl text-left border border-white/10 hover:bg-white/5">
+      <div className="flex items-center gap-2 text-xs">
+        <Avatar letter={author.avatar} size={5} theme={theme} />
+        <span className="font-semibold">{author.display}</span>
+        <span className="text-slate-400">{timeAgo(post.createdAt)}</span>
+      </div>
+      {post.content && <div className="mt-1 text-sm line-clamp-4"><RichText text={post.content} inert theme={theme} /></div>}
+      {post.attachments?.length > 0 && (
+        <div className="mt-2 flex gap-1">
+          {post.attachments.map((a) => <MediaThumb key={a.id} attachment={a} className="w-16 h-16 rounded-lg" />)}
+        </div>
+      )}
+    </button>
+  );
+}
+
+function CommentThread({ comment: c, repliesOf, depth, currentUser, authorById, onLike, onReply, onReport, theme }) {
+  const mine = c.authorId === currentUser.id;
+  const author = mine ? currentUser : authorById(c.authorId);
+  const liked = c.likedBy.includes(currentUser.id);
+  return (
+    <div style={{ marginLeft: depth && depth <= MAX_REPLY_INDENT ? 16 : 0 }}>
+      <div className={`p-2 rounded-md flex gap-2 ${c.visibility === "private" ? "bg-white/6 border border-dashed border-white/10" : "bg-white/3"}`}>
+        <Avatar letter={author.avatar} size={6} theme={theme} />
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-semibold">
+            {mine ? "You" : author.display}
+            {c.visibility === "private" && <span className="ml-2 font-normal text-slate-400">Private note · only you can see this</span>}
+          </div>
+          <div className="text-sm break-words">{c.body}</div>
+          <div className="mt-1 flex gap-3 text-[11px] text-slate-400">
+            <span>{timeAgo(c.createdAt)}</span>
+            {c.visibility === "public" && (
+              <>
+                <button onClick={() => onLike(c.id)} style={liked ? { color: theme.accentA } : undefined}>{liked ? "♥" : "♡"} {c.likedBy.length || ""}</button>
+                <button onClick={() => onReply(c)}>Reply</button>
+                {!mine && onReport && <button onClick={() => onReport({ kind: "comment", targetId: c.id })}>Report</button>}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+      {(repliesOf.get(c.id) || []).map((r) => (
+        <div key={r.id} className="mt-2">
+          <CommentThread comment={r} repliesOf={repliesOf} depth={depth + 1} currentUser={currentUser} authorById={authorById} onLike={onLike} onReply={onReply} onReport={onReport} theme={theme} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PostCard(props) {
+  const { post, author, postById, authorById, onOpenProfile, theme } = props;
+  // a repost is shown as the post it shares (live from the feed when we have it), under a "reposted" line
+  if (post.kind === "repost") {
+    const original = postById?.(post.originalId) || post.original;
+    return (
+      <motion.div layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+        <div className="px-4 pb-1 text-xs text-slate-400">
+          ↻ <button onClick={() => onOpenProfile?.(post.authorId)} className="hover:underline">{post.authorId === props.currentUser.id ? "You" : author?.display || "Unknown"}</button> reposted · {timeAgo(post.createdAt)}
+        </div>
+        {original ? (
+          <PostCard {...props} post={original} author={authorById(original.authorId)} insight={null} />
+        ) : (
+          <div className="p-4 rounded-2xl text-xs text-slate-400" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>The original post is no longer available.</div>
+        )}
+      </motion.div>
+    );
+  }
+  const hits = post.authorId === props.currentUser.id ? [] : filterHits(post, props.filters);
+  if (hits.length) {
+    return (
+      <FilteredPost hits={hits} theme={theme}>
+        <PostBody {...props} />
+      </FilteredPost>
+    );
+  }
+  return <PostBody {...props} />;
+}
+
+function PostBody({ post, author, currentUser, onLike, onComment, onLikeComment, onSave, onRepost, onQuote, onOpenPost, onDwell, onOpenProfile, onOpenTag, onOpenCommunity, onNavigate, onEditPost, onDeletePost, onMutePost, onMuteUser, onBlock, onReport, communityById, postById, userByUsername, insight, authorById, highlight, defaultExpanded = false, theme }) {
+  const likeRef = useRef(null);
+  const cardRef = useRef(null);
+  const [showWhy, setShowWhy] = useState(false);
+  const [expanded, setExpanded] = useState(defaultExpanded);
+  const [editing, setEditing] = useState(null); // the text being edited
+  const [showRevisions, setShowRevisions] = useState(false);
+  const mine = post.authorId === currentUser.id;
+  const comments = post.comments || [];
+  const repliesOf = new Map();
+  for (const c of comments) if (c.parentId) repliesOf.set(c.parentId, [...(repliesOf.get(c.parentId) || []), c]);
+  const roots = comments.filter((c) => !c.parentId);
+  const shownRoots = expanded ? roots : roots.slice(-COMMENTS_PREVIEW);
+  // tags already written inline don't need repeating underneath
+  const inlineTags = hashtagsIn(post.content);
+  const extraTags = (post.tags || []).filter((t) => !inlineTags.includes(normalizeTag(t)));
+  const [firstLink] = linksIn(post.content);
+
+  const saveEdit = async () => {
+    if (await onEditPost(post, editing)) setEditing(null);
+  };
+
+  useDwell(cardRef, onDwell ? (ms) => onDwell(post, ms) : null);
+  return (
+    <motion.article ref={cardRef} layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }} className="p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <div className="flex gap-3">
+        <button onClick={() => onOpenProfile?.(post.authorId)} aria-label={`${author?.display || "Unknown"}'s profile`} className="self-start">
+          <Avatar letter={author?.avatar || "?"} size={12} glow theme={theme} />
+        </button>
+        <div className="flex-1">
+          <div className="flex items-start justify-between">
+            <div>
+              <button onClick={() => onOpenProfile?.(post.authorId)} className="text-sm font-semibold hover:underline" style={{ color: theme.text }}>{author?.display || "Unknown"}</button>
+              {author?.premium && <span title="Premium" className="ml-1 text-[11px]" style={{ color: theme.accentB }}>✦</span>}
+              <div className="text-xs text-slate-400">
+                <button onClick={() => onOpenPost?.(post.id)} className="hover:underline" title="Open post">{new Date(post.createdAt).toLocaleString()}</button>
+                {post.editedAt && (
+                  <> · <button onClick={() => setShowRevisions(true)} className="hover:underline" title={`Edited ${new Date(post.editedAt).toLocaleString()}`}>edited</button></>
+                )}
+                {post.communityId && communityById?.(post.communityId) && (
+                  <> · in <button onClick={() => onOpenCommunity?.(post.communityId)} className="hover:underline" style={{ color: theme.accentB }}>{communityById(post.communityId).name}</button></>
+                )}
+              </div>
+              {post.sync && <div><SyncBadge sync={post.sync} theme={theme} /></div>}
+            </div>
+            <div className="flex items-start">
+              <LikedBy post={post} theme={theme} />
+              {!post.sync && (mine ? onEditPost : onReport) && (
+                <PostMenu post={post} author={author} mine={mine} onEdit={() => setEditing(post.content || "")} onDelete={onDeletePost} onMutePost={onMutePost} onMuteUser={onMuteUser} onBlock={onBlock} onReport={onReport} theme={theme} />
+              )}
+            </div>
+          </div>
+
+          {editing !== null ? (
+            <div className="mt-3">
+              <RichTextarea autoFocus value={editing} onChange={setEditing} currentUser={currentUser} theme={theme} rows={3} aria-label="Edit post" className="w-full p-2 rounded-md bg-transparent border border-white/10 outline-none text-sm" />
+              <div className="mt-1 flex gap-2 text-xs">
+                <button onClick={saveEdit} className="px-2 py-1 rounded-md font-semibold" style={{ background: theme.accentB, color: "#000" }}>Save</button>
+                <button onClick={() => setEditing(null)} className="px-2 py-1 rounded-md border">Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <div className="mt-3 text-sm leading-relaxed whitespace-pre-wrap break-words" style={{ color: theme.text }}>
+              <RichText text={post.content} terms={highlight} userByUsername={userByUsername} onOpenProfile={onOpenProfile} onOpenTag={onOpenTag} onNavigate={onNavigate} theme={theme} />
+            </div>
+          )}
+          <AnimatePresence>{showRevisions && <RevisionsDialog post={post} currentUser={currentUser} onClose={() => setShowRevisions(false)} theme={theme} />}</AnimatePresence>
+          {firstLink && <LinkPreview url={firstLink} viewerId={currentUser.id} onNavigate={onNavigate} theme={theme} />}
+          {extraTags.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-2 text-xs">
+              {extraTags.map((t) => (
+                <button key={t} onClick={() => onOpenTag?.(normalizeTag(t))} style={{ color: theme.accentB }}>#<Highlight text={normalizeTag(t)} terms={highlight} /></button>
+              ))}
+            </div>
+          )}
+
+          {post.attachments?.length > 0 && <MediaGallery attachments={post.attachments} theme={theme} />}
+          {post.kind === "quote" && <QuotedPost post={postById?.(post.originalId) || post.original} authorById={authorById} onOpenPost={onOpenPost} theme={theme} />}
+
+          <div className="mt-3 flex items-center gap-2">
+            <button
+              ref={likeRef}
+              onClick={() => { onLike(post.id); microPop(likeRef.current); }}
+              aria-pressed={!!post.likedByMe}
+              className="px-2 py-1 rounded-md border text-xs"
+              style={post.likedByMe ? { background: theme.accentA, borderColor: theme.accentA, color: "#fff" } : undefined}
+            >
+              {post.likedByMe ? "♥ Liked" : "♡ Like"}
+            </button>
+            <button onClick={() => onComment(post.id)} className="px-2 py-1 rounded-md border text-xs">Comment{comments.length ? ` · ${comments.length}` : ""}</button>
+            <ShareMenu post={post} onRepost={onRepost} onQuote={onQuote} theme={theme} />
+            {onSave && (
+              <button onClick={() => onSave(post)} aria-pressed={!!post.savedByMe} className="px-2 py-1 rounded-md border text-xs" style={post.savedByMe ? { borderColor: theme.accentB, color: theme.accentB } : undefined}>
+                {post.savedByMe ? "★ Saved" : "☆ Save"}
+              </button>
+            )}
+            {insight && (
+              <button onClick={() => setShowWhy((v) => !v)} className="ml-auto text-[11px] text-slate-400 underline">Why am I seeing this?</button>
+            )}
+          </div>
+          {insight && showWhy && (
+            <div className="mt-2 p-2 rounded-md bg-white/3 text-xs text-slate-300">
+              {insight.reasons.length ? insight.reasons.map((r) => describeReason(r, authorById)).join(" · ") : "Nothing specific yet — like, comment or post to tune your feed."}
+            </div>
+          )}
+
+          {/* comments — public ones for everyone, private notes only come back for their author */}
+          {comments.length > 0 && (
+            <div className="mt-3 space-y-2">
+              {shownRoots.map((c) => (
+                <CommentThread key={c.id} comment={c} repliesOf={repliesOf} depth={0} currentUser={currentUser} authorById={authorById} onLike={onLikeComment} onReply={(target) => onComment(post.id, target)} onReport={onReport} theme={theme} />
+              ))}
+              {roots.length > COMMENTS_PREVIEW && (
+                <button onClick={() => setExpanded((v) => !v)} className="text-xs text-slate-400 underline">
+                  {expanded ? "Show fewer comments" : `View all ${comments.length} comments`}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.article>
+  );
+}
+
+function QuoteComposer({ post, currentUser, authorById, onClose, onQuoted, theme }) {
+  const service = useService();
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const submit = async () => {
+    try {
+      const q = await service.quotePost(currentUser.id, post.id, { content: text });
+      onQuoted(q);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-end md:items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <motion.div initial={{ y: 100 }} animate={{ y: 0 }} exit={{ y: 100 }} className="relative w-full md:w-[560px] p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
+        <div className="text-sm font-semibold mb-2">Quote post</div>
+        <RichTextarea autoFocus value={text} onChange={setText} currentUser={currentUser} theme={theme} rows={3} className="w-full bg-transparent outline-none p-2 rounded-md" placeholder="Add your take..." />
+        <QuotedPost post={post} authorById={authorById} theme={theme} />
+        {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+        <div className="mt-3 flex items-center gap-2">
+          <button onClick={submit} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Post quote</button>
+          <button onClick={onClose} className="px-3 py-1 rounded-md border">Cancel</button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+/* -------------------- FEED -------------------- */
+// One paginated list of posts: the feed, a profile, a room. The post objects live in the session's
+// cache (onPosts merges them in), so a like or comment patches every list at once; this keeps ids.
+// `key` names the list; a new key starts over from the top. With `rank` (posts, reset) -> posts in
+// order, the first RANK_CANDIDATES posts are ranked in one go and handed out a page at a time.
+const usePostPages = (key, filter, { viewerId, onPosts, rank = null }) => {
+  const service = useService();
+  const [state, setState] = useState({ ids: [], cursor: null, top: null, done: false, total: null });
+  const [loading, setLoading] = useState(false);
+  const [incoming, setIncoming] = useState([]); // arrived above the top, waiting behind the pill
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const cb = useRef({ onPosts, rank });
+  cb.current = { onPosts, rank };
+  const gen = useRef(0); // bumped on reset so answers for an older list are dropped
+  const busy = useRef(false);
+  const queue = useRef([]); // ranked ids not handed out yet
+
+  const newest = (posts) => posts.reduce((a, p) => (!a || byRecency(p, a) < 0 ? p : a), null);
+  const append = (base, ids) => [...base, ...ids.filter((id) => !base.includes(id))];
+
+  const load = async (reset) => {
+    if (busy.current && !reset) return;
+    if (!reset && stateRef.current.done) return;
+    const g = reset ? ++gen.current : gen.current;
+    busy.current = true;
+    setLoading(true);
+    try {
+      if (!reset && queue.current.length) {
+        const next = queue.current.slice(0, POST_PAGE_SIZE);
+        queue.current = queue.current.slice(POST_PAGE_SIZE);
+        const done = !queue.current.length && !stateRef.current.cursor;
+        setState((prev) => ({ ...prev, ids: append(prev.ids, next), done }));
+        return;
+      }
+      const ranked = !!cb.current.rank;
+      const page = await service.fetchPosts({ viewerId, filter, cursor: reset ? null : stateRef.current.cursor, limit: ranked && reset ? RANK_CANDIDATES : POST_PAGE_SIZE });
+      if (g !== gen.current) return;
+      const ordered = ranked ? await cb.current.rank(page.posts, reset) : page.posts;
+      if (g !== gen.current) return;
+      cb.current.onPosts(page.posts);
+      const ids = ordered.map((p) => p.id);
+      queue.current = ids.slice(POST_PAGE_SIZE);
+      const done = !page.nextCursor && !queue.current.length;
+      const top = newest(page.posts);
+      setState((prev) => ({
+        ids: append(reset ? [] : prev.ids, ids.slice(0, POST_PAGE_SIZE)),
+        cursor: page.nextCursor,
+        top: reset ? (top ? postCursor(top) : null) : prev.top,
+        done,
+        total: page.total,
+      }));
+      if (reset) setIncoming([]);
+    } catch (e) {
+      console.error(e);
+    } finally {
+      if (g === gen.current) {
+        busy.current = false;
+        setLoading(false);
+      }
+    }
+  };
+
+  // newest first, like a page
+  const prepend = (posts) => {
+    if (!posts.length) return;
+    cb.current.onPosts(posts);
+    setState((prev) => {
+      // a post queued offline comes back under its real id, with the local one as clientId
+      const fresh = posts.filter((p) => !prev.ids.includes(p.id) && !(p.clientId && prev.ids.includes(p.clientId))).map((p) => p.id);
+      const latest = newest(posts);
+      const top = !prev.top || byRecency(latest, readCursor(prev.top)) < 0 ? postCursor(latest) : prev.top;
+      return { ...prev, ids: [...fresh, ...prev.ids], top, total: prev.total === null ? null : prev.total + fresh.length };
+    });
+  };
+
+  useEffect(() => {
+    load(true);
+  }, [key, viewerId]);
+
+  // New posts from others wait behind the "N new posts" pill unless you're at the very top; your own
+  // go straight in.
+  useEffect(() => {
+    const check = async () => {
+      const { top } = stateRef.current;
+      if (!top) return load(true);
+      const g = gen.current;
+      let posts;
+      try {
+        ({ posts } = await service.fetchPosts({ viewerId, filter, newerThan: top }));
+      } catch (e) {
+        return console.error(e); // the next new post checks again
+      }
+      if (g !== gen.current || !posts.length) return;
+      const mine = posts.filter((p) => p.authorId === viewerId);
+      const others = posts.filter((p) => p.authorId !== viewerId);
+      if (window.scrollY < 200 && !incoming.length) return prepend(posts);
+      prepend(mine);
+      cb.current.onPosts(others);
+      setIncoming((prev) => [...others.filter((p) => !prev.some((x) => x.id === p.id)), ...prev]);
+    };
+    return service.subscribe((e) => {
+      if (e.type === "post" || e.type === "repost") check();
+    });
+  }, [key, viewerId, incoming.length]);
+
+  const showIncoming = () => {
+    prepend(incoming);
+    setIncoming([]);
+  };
+
+  return { ...state, loading, incoming, loadMore: () => load(false), reload: () => load(true), prepend, showIncoming };
+};
+
+// loads the next page as it scrolls into view
+function LoadMore({ pages, empty = "Nothing here yet.", theme }) {
+  const ref = useRef(null);
+  const loadMore = useRef(pages.loadMore);
+  loadMore.current = pages.loadMore;
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || pages.done || typeof IntersectionObserver === "undefined") return;
+    const io = new IntersectionObserver(([e]) => e.isIntersecting && loadMore.current(), { rootMargin: "800px 0px" });
+    io.observe(el);
+    return () => io.disconnect();
+  }, [pages.done, pages.ids.length]);
+  return (
+    <div ref={ref} className="py-4 text-center text-xs text-slate-400">
+      {pages.loading ? "Loading…" : pages.done ? (pages.ids.length ? "You're all caught up." : empty) : <button onClick={pages.loadMore} className="underline" style={{ color: theme.accentB }}>Load more</button>}
+    </div>
+  );
+}
+
+function NewPostsPill({ pages, theme }) {
+  if (!pages.incoming.length) return null;
+  const n = pages.incoming.length;
+  const show = () => {
+    pages.showIncoming();
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+  return (
+    <div className="sticky top-20 z-30 flex justify-center pointer-events-none">
+      <motion.button initial={{ y: -10, opacity: 0 }} animate={{ y: 0, opacity: 1 }} onClick={show} className="pointer-events-auto px-3 py-1 rounded-full text-xs font-semibold shadow-lg" style={{ background: theme.accentA, color: "#fff" }}>
+        ↑ {n} new {n === 1 ? "post" : "posts"}
+      </motion.button>
+    </div>
+  );
+}
+
+const WINDOW_ESTIMATE = 320; // px, for posts not measured yet
+const WINDOW_OVERSCAN = 1200;
+
+// Renders only the items near the viewport, with spacers standing in for the rest. Heights are
+// measured as items render, so spacers settle on the real sizes; items keep their keys and motion
+// `layout`, so expanding one still animates its neighbours.
+function WindowedList({ items, renderItem }) {
+  const ids = items.map((item) => item.id);
+  const listRef = useRef(null);
+  const heights = useRef(new Map());
+  const observers = useRef(new Map());
+  const refs = useRef(new Map()); // one stable ref callback per id
+  const [range, setRange] = useState([0, 12]);
+  const [, setMeasured] = useState(0);
+
+  const heightOf = (id) => heights.current.get(id) ?? WINDOW_ESTIMATE;
+
+  const update = () => {
+    const el = listRef.current;
+    if (!el) return;
+    const top = el.getBoundingClientRect().top + window.scrollY;
+    const from = window.scrollY - top - WINDOW_OVERSCAN;
+    const to = window.scrollY - top + window.innerHeight + WINDOW_OVERSCAN;
+    let y = 0;
+    let start = 0;
+    let end = ids.length;
+    for (let i = 0; i < ids.length; i++) {
+      const h = heightOf(ids[i]);
+      if (y + h < from) start = i + 1;
+      if (y > to) {
+        end = i;
+        break;
+      }
+      y += h;
+    }
+    setRange((prev) => (prev[0] === start && prev[1] === end ? prev : [start, end]));
+  };
+
+  useEffect(() => {
+    update();
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  });
+
+  useEffect(() => () => observers.current.forEach((o) => o.disconnect()), []);
+
+  const measure = (id) => {
+    if (!refs.current.has(id)) {
+      refs.current.set(id, (node) => {
+        observers.current.get(id)?.disconnect();
+        observers.current.delete(id);
+        if (!node || typeof ResizeObserver === "undefined") return;
+        const ro = new ResizeObserver(() => {
+          const h = node.offsetHeight;
+          if (h && heights.current.get(id) !== h) {
+            heights.current.set(id, h);
+            setMeasured((n) => n + 1);
+          }
+        });
+        ro.observe(node);
+        observers.current.set(id, ro);
+      });
+    }
+    return refs.current.get(id);
+  };
+
+  const [start, end] = range;
+  const before = ids.slice(0, start).reduce((sum, id) => sum + heightOf(id), 0);
+  const after = ids.slice(end).reduce((sum, id) => sum + heightOf(id), 0);
+  return (
+    <div ref={listRef}>
+      <div style={{ height: before }} />
+      <LayoutGroup>
+        {items.slice(start, end).map((item) => (
+          <div key={item.id} ref={measure(item.id)} className="pb-3">
+            {renderItem(item)}
+          </div>
+        ))}
+      </LayoutGroup>
+      <div style={{ height: after }} />
+    </div>
+  );
+}
+
+/* -------------------- SEARCH -------------------- */
+const SEARCH_POST_LIMIT = 30;
+
+function SearchResults({ query, posts, users, cardProps, onOpenTag, onClear, theme }) {
+  const results = searchAll(query, { posts, users });
+  const empty = !results.posts.length && !results.users.length && !results.tags.length;
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-semibold">Results for “{query.trim()}”</div>
+        <button onClick={onClear} className="text-xs px-2 py-1 rounded-md border">Clear</button>
+      </div>
+
+      {results.users.length > 0 && (
+        <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+          <div className="text-xs text-slate-400 mb-2">People</div>
+          <div className="space-y-1">
+            {results.users.slice(0, 5).map(({ user }) => (
+              <button key={user.id} onClick={() => cardProps.onOpenProfile(user.id)} className="w-full flex items-center gap-2 p-1 rounded-md text-left hover:bg-white/5">
+                <Avatar letter={user.avatar} size={7} theme={theme} />
+                <span className="text-sm"><Highlight text={user.display} terms={results.terms} /></span>
+                <span className="text-xs text-slate-400">@<Highlight text={user.username} terms={results.terms} /></span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {results.tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          {results.tags.slice(0, 8).map(({ tag, count }) => (
+            <button key={tag} onClick={() => onOpenTag(tag)} className="px-2 py-1 rounded-md border">
+              #<Highlight text={tag} terms={results.terms} /> <span className="text-slate-400">· {count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {results.posts.slice(0, SEARCH_POST_LIMIT).map(({ post }) => (
+          <PostCard key={post.id} post={post} author={cardProps.authorById(post.authorId)} highlight={results.terms} {...cardProps} />
+        ))}
+      </AnimatePresence>
+
+      {empty && <div className="text-xs text-slate-400">Nothing matches. Try fewer words.</div>}
+    </motion.div>
+  );
+}
+
+// trending tags and people to follow; the sidebar card and the /explore page
+function ExplorePanel({ trending, people, activeTag, onOpenTag, onOpenProfile, onFollow, theme }) {
+  return (
+    <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <div className="text-sm font-semibold">Explore</div>
+      <div className="mt-2 text-xs text-slate-300">Trending tags and people</div>
+      <div className="mt-3 flex flex-col gap-2 text-xs">
+        {trending.map(({ tag, count }) => (
+          <button key={tag} onClick={() => onOpenTag(tag)} className="px-3 py-2 rounded-md text-left flex justify-between" style={tag === activeTag ? { color: theme.accentB } : undefined}>
+            <span>#{tag}</span>
+            <span className="text-slate-400">{count} {count === 1 ? "post" : "posts"}</span>
+          </button>
+        ))}
+        {!trending.length && <div className="px-3 text-slate-400">Nothing trending this week.</div>}
+      </div>
+      {people.length > 0 && (
+        <div className="mt-3 flex flex-col gap-2 text-xs">
+          {people.map(({ user, tag }) => (
+            <div key={user.id} className="flex items-center gap-2 px-3">
+              <button onClick={() => onOpenProfile(user.id)} className="flex items-center gap-2 flex-1 text-left">
+                <Avatar letter={user.avatar} size={6} theme={theme} />
+                <span>{user.display}{tag && <span className="text-slate-400"> · #{tag}</span>}</span>
+              </button>
+              <button onClick={() => onFollow(user.id)} className="px-2 py-0.5 rounded-md border">Follow</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NotFound({ message = "There's nothing at this address.", onHome, theme }) {
+  return (
+    <div className="p-6 rounded-2xl text-center" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <div className="text-2xl font-semibold">404</div>
+      <div className="mt-1 text-sm text-slate-300">{message}</div>
+      <button onClick={onHome} className="mt-3 px-3 py-1 rounded-md border text-xs">Go to the feed</button>
+    </div>
+  );
+}
+
+/* -------------------- SAFETY -------------------- */
+// the muted keywords/tags a post trips, as shown to the viewer ("#crypto", "spoilers")
+const filterHits = (post, filters) => {
+  if (!filters || (!filters.keywords.length && !filters.tags.length)) return [];
+  const tags = (post.tags || []).map(normalizeTag);
+  return [
+    ...filters.tags.filter((t) => tags.includes(t)).map((t) => `#${t}`),
+    ...filters.keywords.filter((k) => new RegExp(`(^|\\W)${escapeRegExp(k)}(\\W|$)`, "i").test(post.content || "")),
+  ];
+};
+
+// ⋯ on a post: edit/delete on your own, mute/block/report on anyone else's
+function PostMenu({ post, author, mine = false, onEdit, onDelete, onMutePost, onMuteUser, onBlock, onReport, theme }) {
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const act = (fn) => () => {
+    setOpen(false);
+    fn();
+  };
+  const item = "w-full text-left px-2 py-1 rounded-md text-xs hover:bg-white/5";
+  const name = author?.display || "this person";
+
+  return (
+    <div ref={boxRef} className="relative">
+      <button onClick={() => setOpen((o) => !o)} aria-haspopup="true" aria-expanded={open} aria-label="More" className="px-2 text-slate-400">⋯</button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 p-1 rounded-lg shadow-lg z-20" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+          {mine ? (
+            <>
+              <button onClick={act(onEdit)} className={item}>Edit post</button>
+              <button onClick={act(() => onDelete(post))} className={item} style={{ color: theme.accentA }}>Delete post</button>
+            </>
+          ) : (
+            <>
+              <button onClick={act(() => onMutePost(post))} className={item}>Mute this post</button>
+              <button onClick={act(() => onMuteUser(post.authorId))} className={item}>Mute {name}</button>
+              <button onClick={act(() => onBlock(post.authorId))} className={item}>Block {name}</button>
+              <button onClick={act(() => onReport({ kind: "post", targetId: post.id }))} className={item} style={{ color: theme.accentA }}>Report post</button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// a post that matches a muted keyword or tag, folded until asked for
+function FilteredPost({ hits, children, theme }) {
+  const [shown, setShown] = useState(false);
+  if (shown) return children;
+  return (
+    <motion.div layout initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="px-4 py-3 rounded-2xl flex items-center gap-2 text-xs text-slate-400" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <span className="flex-1">Hidden — matches your filter {hits.map((h) => `“${h}”`).join(", ")}</span>
+      <button onClick={() => setShown(true)} className="underline">Show anyway</button>
+    </motion.div>
+  );
+}
+
+// target: { kind, targetId }
+function ReportDialog({ target, currentUser, onClose, theme }) {
+  const service = useService();
+  const [reason, setReason] = useState("");
+  const [note, setNote] = useState("");
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  const submit = async () => {
+    try {
+      await service.reportContent(currentUser.id, { ...target, reason, note });
+      setDone(true);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-end md:items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <motion.div initial={{ y: 100 }} animate={{ y: 0 }} exit={{ y: 100 }} className="relative w-full md:w-[420px] p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
+        {done ? (
+          <>
+            <div className="text-sm font-semibold">Thanks for letting us know</div>
+            <div className="mt-1 text-xs text-slate-300">Moderators will review it. You can also mute or block the person so you don't see them meanwhile.</div>
+            <button onClick={onClose} className="mt-3 px-3 py-1 rounded-md border text-xs">Close</button>
+          </>
+        ) : (
+          <>
+            <div className="text-sm font-semibold mb-2">Report this {target.kind}</div>
+            <div className="space-y-1">
+              {Object.entries(REPORT_REASONS).map(([id, label]) => (
+                <label key={id} className="flex items-center gap-2 text-xs">
+                  <input type="radio" name="reason" checked={reason === id} onChange={() => setReason(id)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <textarea value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} rows={2} className="mt-2 w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs resize-none" placeholder="Anything moderators should know? (optional)" />
+            {error && <div className="mt-1 text-xs text-red-400">{error}</div>}
+            <div className="mt-3 flex gap-2">
+              <button onClick={submit} disabled={!reason} className="px-3 py-1 rounded-md text-xs disabled:opacity-50" style={{ background: theme.accentA, color: "#fff" }}>Send report</button>
+              <button onClick={onClose} className="px-3 py-1 rounded-md border text-xs">Cancel</button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// a comma/enter-separated list of muted words or tags
+function FilterEditor({ label, values, placeholder, onChange, format = (v) => v }) {
+  const [draft, setDraft] = useState("");
+  const add = () => {
+    const more = draft.split(",").map((x) => x.trim()).filter(Boolean);
+    if (more.length) onChange([...values, ...more]);
+    setDraft("");
+  };
+  return (
+    <div>
+      <div className="text-xs text-slate-400 mb-1">{label}</div>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {values.map((v) => (
+          <span key={v} className="px-2 py-0.5 rounded-full border border-white/10 text-xs">
+            {format(v)} <button onClick={() => onChange(values.filter((x) => x !== v))} aria-label={`Remove ${v}`}>×</button>
+          </span>
+        ))}
+        {!values.length && <span className="text-xs text-slate-500">None</span>}
+      </div>
+      <input value={draft} onChange={(e) => setDraft(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") add(); }} onBlur={add} placeholder={placeholder} className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs" />
+    </div>
+  );
+}
+
+// safety: what fetchSafety() returned; loadError: why it couldn't be fetched
+function SafetyView({ currentUser, safety, loadError, authorById, onOpenProfile, onBack, theme }) {
+  const service = useService();
+  const [error, setError] = useState("");
+  if (!safety) return <div className="text-slate-300">{loadError ? `Couldn't load your safety settings: ${loadError}` : "Loading..."}</div>;
+
+  const attempt = async (op) => {
+    try {
+      await op();
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+  const saveFilters = (patch) => attempt(() => service.setFilters(currentUser.id, { keywords: safety.keywords, tags: safety.tags, ...patch }));
+
+  const people = (ids, undo, verb) =>
+    ids.length ? (
+      ids.map((id) => {
+        const u = authorById(id);
+        return (
+          <div key={id} className="flex items-center gap-2 py-1">
+            <button onClick={() => onOpenProfile(id)} className="flex items-center gap-2 flex-1 text-left text-sm">
+              <Avatar letter={u.avatar} size={7} theme={theme} />
+              {u.display}
+            </button>
+            <button onClick={() => attempt(() => undo(currentUser.id, id))} className="px-2 py-1 rounded-md border text-xs">{verb}</button>
+          </div>
+        );
+      })
+    ) : (
+      <div className="text-xs text-slate-500">Nobody.</div>
+    );
+
+  const box = { background: theme.card, border: `1px solid ${theme.soft}` };
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="text-xs px-2 py-1 rounded-md border">← Back</button>
+        <div className="text-sm font-semibold">Safety</div>
+      </div>
+      {error && <div className="text-xs text-red-400">{error}</div>}
+      <div className="p-4 rounded-2xl space-y-3" style={box}>
+        <div className="text-sm font-semibold">Filters</div>
+        <div className="text-xs text-slate-400">Posts mentioning these are folded away in your feed; you can still open them.</div>
+        <FilterEditor label="Muted words" values={safety.keywords} placeholder="Add a word or phrase…" onChange={(keywords) => saveFilters({ keywords })} />
+        <FilterEditor label="Muted tags" values={safety.tags} placeholder="Add a tag…" format={(t) => `#${t}`} onChange={(tags) => saveFilters({ tags })} />
+      </div>
+      <div className="p-4 rounded-2xl" style={box}>
+        <div className="text-sm font-semibold mb-1">Blocked</div>
+        <div className="text-xs text-slate-400 mb-2">You don't see each other's posts, comments or messages, and they can't follow or message you.</div>
+        {people(safety.blocked, service.unblockUser, "Unblock")}
+      </div>
+      <div className="p-4 rounded-2xl" style={box}>
+        <div className="text-sm font-semibold mb-1">Muted</div>
+        <div className="text-xs text-slate-400 mb-2">Their posts and comments are hidden from you. They aren't told.</div>
+        {people(safety.mutedUsers, service.unmuteUser, "Unmute")}
+        {safety.mutedPosts.length > 0 && (
+          <div className="mt-2 flex items-center gap-2 text-xs text-slate-400">
+            {safety.mutedPosts.length} muted {safety.mutedPosts.length === 1 ? "post" : "posts"}
+            <button onClick={() => attempt(() => Promise.all(safety.mutedPosts.map((id) => service.unmutePost(currentUser.id, id))))} className="underline">Unmute all</button>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+// open reports about anything this user moderates (everything, for admins)
+function ModerationView({ currentUser, authorById, communityById, onOpenPost, onOpenProfile, onBack, theme }) {
+  const service = useService();
+  const [reports, setReports] = useState(null);
+  const [showClosed, setShowClosed] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const r = await service.fetchReports(currentUser.id);
+        if (mounted) setReports(r);
+      } catch (e) {
+        if (mounted) setError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "report") load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  if (!reports) return <div className="text-slate-300">{error ? `Couldn't load reports: ${error}` : "Loading..."}</div>;
+
+  const resolve = async (report, outcome) => {
+    try {
+      await service.resolveReport(currentUser.id, report.id, outcome);
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // one row per reported thing, however many people reported it
+  const byTarget = new Map();
+  for (const r of reports.filter((x) => (x.status === "open") !== showClosed)) {
+    const key = `${r.kind}:${r.targetId}`;
+    byTarget.set(key, [...(byTarget.get(key) || []), r]);
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="text-xs px-2 py-1 rounded-md border">← Back</button>
+        <div className="text-sm font-semibold">Moderation</div>
+        <button onClick={() => setShowClosed((v) => !v)} className="ml-auto text-xs px-2 py-1 rounded-md border">{showClosed ? "Show open" : "Show handled"}</button>
+      </div>
+      {error && <div className="text-xs text-red-400">{error}</div>}
+      {[...byTarget.values()].map((group) => {
+        const r = group[0];
+        const author = authorById(r.snapshot.authorId);
+        const room = r.communityId && communityById(r.communityId);
+        return (
+          <div key={r.id} className="p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+            <div className="flex items-center gap-2 text-xs text-slate-400">
+              <span className="px-2 py-0.5 rounded-full border border-white/10">{r.kind}</span>
+              {room && <span>in {room.name}</span>}
+              <span className="ml-auto">{group.length} {group.length === 1 ? "report" : "reports"} · {timeAgo(r.createdAt)}</span>
+            </div>
+            <button onClick={() => onOpenProfile(author.id || r.snapshot.authorId)} className="mt-2 flex items-center gap-2 text-sm font-semibold">
+              <Avatar letter={author.avatar} size={6} theme={theme} />
+              {author.display}
+            </button>
+            {r.snapshot.content && <div className="mt-1 text-sm whitespace-pre-wrap break-words">{r.snapshot.content}</div>}
+            <div className="mt-2 space-y-1">
+              {group.map((x) => (
+                <div key={x.id} className="text-xs text-slate-400">
+                  {REPORT_REASONS[x.reason]} — {authorById(x.reporterId).display}{x.note ? `: “${x.note}”` : ""}
+                </div>
+              ))}
+            </div>
+            {r.status === "open" ? (
+              <div className="mt-3 flex gap-2 text-xs">
+                {r.snapshot.postId && <button onClick={() => onOpenPost(r.snapshot.postId)} className="px-2 py-1 rounded-md border">Open</button>}
+                {r.kind !== "user" && <button onClick={() => resolve(r, "removed")} className="px-2 py-1 rounded-md" style={{ background: theme.accentA, color: "#fff" }}>Remove {r.kind}</button>}
+                {r.kind === "user" && <button onClick={() => resolve(r, "resolved")} className="px-2 py-1 rounded-md border">Mark handled</button>}
+                <button onClick={() => resolve(r, "dismissed")} className="px-2 py-1 rounded-md border">Dismiss</button>
+              </div>
+            ) : (
+              <div className="mt-2 text-xs text-slate-400">
+                {r.outcome === "removed" ? "Removed" : r.outcome === "resolved" ? "Handled" : "Dismissed"} by {authorById(r.resolvedBy).display} · {timeAgo(r.resolvedAt)}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {!byTarget.size && <div className="text-xs text-slate-400">{showClosed ? "Nothing handled yet." : "No open reports. 🎉"}</div>}
+    </motion.div>
+  );
+}
+
+/* -------------------- SAVED -------------------- */
+function SavedView({ currentUser, cardProps, onBack, theme }) {
+  const service = useService();
+  const [items, setItems] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [active, setActive] = useState("all"); // "all" | "unsorted" | collection id
+  const [newName, setNewName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const [i, c] = await Promise.all([service.fetchSaved(currentUser.id), service.fetchCollections(currentUser.id)]);
+        if (!mounted) return;
+        setItems(i);
+        setCollections(c);
+      } catch (e) {
+        if (mounted) setError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if ((e.type === "saved" && e.userId === currentUser.id) || e.type === "like" || e.type === "unlike" || e.type === "comment") load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    if (active !== "all" && active !== "unsorted" && !collections.some((c) => c.id === active)) setActive("all");
+  }, [collections, active]);
+
+  const attempt = async (fn) => {
+    try {
+      await fn();
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // gone from the list right away, and back if the service says no
+  const removeTombstone = async (item) => {
+    setItems((list) => list.filter((x) => x.id !== item.id));
+    try {
+      await service.unsavePost(currentUser.id, item.postId);
+      setError("");
+    } catch (e) {
+      setItems((list) => (list.some((x) => x.id === item.id) ? list : [...list, item].sort((a, b) => b.savedAt - a.savedAt)));
+      setError(e.message);
+    }
+  };
+
+  if (!items) return <div className="text-slate-300">{error ? `Couldn't load your saved posts: ${error}` : "Loading..."}</div>;
+
+  const shown = items.filter((x) => active === "all" || (active === "unsorted" ? !x.collectionId : x.collectionId === active));
+  const activeCollection = collections.find((c) => c.id === active);
+  const tabs = [["all", `All · ${items.length}`], ["unsorted", `Unsorted · ${items.filter((x) => !x.collectionId).length}`], ...collections.map((c) => [c.id, `${c.name} · ${c.count}`])];
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">Saved</div>
+          <button onClick={onBack} className="text-xs px-2 py-1 rounded-md border">Back</button>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-2 text-xs">
+          {tabs.map(([id, label]) => (
+            <button key={id} onClick={() => setActive(id)} className={`px-2 py-1 rounded-md border ${active === id ? "font-semibold" : "opacity-70"}`} style={active === id ? { borderColor: theme.accentA } : undefined}>{label}</button>
+          ))}
+        </div>
+        <form className="mt-3 flex gap-2" onSubmit={(e) => { e.preventDefault(); attempt(async () => { await service.createCollection(currentUser.id, newName); setNewName(""); }); }}>
+          <input value={newName} onChange={(e) => setNewName(e.target.value)} maxLength={40} placeholder="New collection" className="flex-1 px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs" />
+          <button type="submit" className="px-2 py-1 rounded-md border text-xs">Create</button>
+        </form>
+        {activeCollection && (
+          <div className="mt-2 flex gap-2 text-xs">
+            {renaming !== null ? (
+              <form className="flex gap-2 flex-1" onSubmit={(e) => { e.preventDefault(); attempt(async () => { await service.renameCollection(currentUser.id, activeCollection.id, renaming); setRenaming(null); }); }}>
+                <input autoFocus value={renaming} onChange={(e) => setRenaming(e.target.value)} maxLength={40} className="flex-1 px-2 py-1 rounded-md bg-transparent border border-white/10" />
+                <button type="submit" className="px-2 py-1 rounded-md border">Save</button>
+                <button type="button" onClick={() => setRenaming(null)} className="px-2 py-1 rounded-md border">Cancel</button>
+              </form>
+            ) : (
+              <>
+                <button onClick={() => setRenaming(activeCollection.name)} className="px-2 py-1 rounded-md border">Rename</button>
+                <button onClick={() => { if (confirm(`Delete “${activeCollection.name}”? Its posts stay saved, unsorted.`)) attempt(() => service.deleteCollection(currentUser.id, activeCollection.id)); }} className="px-2 py-1 rounded-md border">Delete collection</button>
+              </>
+            )}
+          </div>
+        )}
+        {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+      </div>
+
+      {shown.map((x) => (
+        <div key={x.id} className="space-y-1">
+          {x.tombstone ? (
+            <div className="p-4 rounded-2xl border border-dashed text-sm" style={{ borderColor: theme.soft, background: theme.soft }}>
+              <div className="text-xs text-slate-400">This post is no longer available.</div>
+              {x.snapshot.excerpt && <div className="mt-2 text-slate-400 italic line-clamp-2">“{x.snapshot.excerpt}” — {cardProps.authorById(x.snapshot.authorId).display}</div>}
+            </div>
+          ) : (
+            <PostCard post={x.post} author={cardProps.authorById(x.post.authorId)} {...cardProps} />
+          )}
+          <div className="flex items-center gap-2 text-xs px-2">
+            <span className="text-slate-400">Saved {timeAgoPhrase(x.savedAt)} · in</span>
+            <select value={x.collectionId || ""} onChange={(e) => attempt(() => service.moveSaved(currentUser.id, x.postId, e.target.value || null))} className="bg-transparent border border-white/10 rounded-md px-1 py-0.5">
+              <option value="">Unsorted</option>
+              {collections.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            {x.tombstone && <button onClick={() => removeTombstone(x)} className="ml-auto px-2 py-0.5 rounded-md border">Remove</button>}
+          </div>
+        </div>
+      ))}
+      {!shown.length && <div className="text-xs text-slate-400">Nothing saved here yet. Use ☆ Save on any post.</div>}
+    </motion.div>
+  );
+}
 
-  let messages = [
-    { id: "m1", from: "u_ava", to: "u_you", body: "Loved your last idea.", createdAt: Date.now() - 1000 * 60 * 40 },
-  ];
+/* -------------------- COMMUNITIES -------------------- */
+function CommunityList({ communities, activeId, currentUser, onOpen, theme }) {
+  const service = useService();
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({ name: "", description: "", rules: "" });
+  const [error, setError] = useState("");
 
-  return {
-    fetchPosts: async () => Promise.resolve(posts.slice().sort((a, b) => b.createdAt - a.createdAt)),
-    createPost: async (p) => {
-      const post = { ...p, id: uid("p"), likes: 0, createdAt: Date.now(), comments: [] };
-      posts.unshift(post);
-      return Promise.resolve(post);
-    },
-    likePost: async (id) => {
-      posts = posts.map((x) => (x.id === id ? { ...x, likes: x.likes + 1 } : x));
-      return Promise.resolve(true);
-    },
-    addComment: async (postId, comment) => {
-      posts = posts.map((p) => (p.id === postId ? { ...p, comments: [...(p.comments || []), comment] } : p));
-      return Promise.resolve(comment);
-    },
-    fetchUsers: async () => Promise.resolve(users.map((u) => ({ ...u }))),
-    getUserById: async (id) => users.find((u) => u.id === id) || null,
-    sendMessage: async ({ from, to, body }) => {
-      const m = { id: uid("m"), from, to, body, createdAt: Date.now() };
-      messages.push(m);
-      return Promise.resolve(m);
-    },
-    fetchMessages: async (id) => messages.filter((m) => m.to === id || m.from === id),
+  const create = async () => {
+    try {
+      const c = await service.createCommunity(currentUser.id, { ...form, rules: form.rules.split("\n") });
+      setForm({ name: "", description: "", rules: "" });
+      setCreating(false);
+      setError("");
+      onOpen(c);
+    } catch (e) {
+      setError(e.message);
+    }
   };
-})();
 
-/* -------------------- MICRO UX -------------------- */
-const microPop = (el) => {
-  if (!el) return;
-  el.animate([{ transform: "scale(1)" }, { transform: "scale(1.06)" }, { transform: "scale(1)" }], {
-    duration: 260,
-    easing: "ease-out",
-  });
-};
+  return (
+    <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-semibold">Communities</div>
+        <button onClick={() => setCreating((c) => !c)} className="text-[11px] px-2 py-0.5 rounded-md border">{creating ? "Cancel" : "New room"}</button>
+      </div>
+      <div className="mt-2 text-xs text-slate-300">Join niche rooms for focused work & talk.</div>
+      {creating && (
+        <div className="mt-2 space-y-2">
+          <input value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} maxLength={40} placeholder="Room name" className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs" />
+          <input value={form.description} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))} maxLength={160} placeholder="What's it about?" className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs" />
+          <textarea value={form.rules} onChange={(e) => setForm((f) => ({ ...f, rules: e.target.value }))} rows={3} placeholder="Rules, one per line" className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs resize-none" />
+          {error && <div className="text-xs text-red-400">{error}</div>}
+          <button onClick={create} className="px-3 py-1 rounded-md text-xs" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Create room</button>
+        </div>
+      )}
+      <div className="mt-2 flex flex-col gap-1 text-xs">
+        {communities.map((c) => (
+          <button key={c.id} onClick={() => onOpen(c)} className="px-2 py-1.5 rounded-md text-left flex justify-between hover:bg-white/5" style={c.id === activeId ? { color: theme.accentB } : undefined}>
+            <span>{c.name}{c.myRole && <span className="text-slate-400"> · joined</span>}</span>
+            <span className="text-slate-400">{c.memberCount}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
 
-/* -------------------- AVATAR -------------------- */
-function Avatar({ letter, size = 10, glow = false, theme }) {
-  const s = `${size * 0.25}rem`;
-  const style = {
-    width: s,
-    height: s,
-    borderRadius: 999,
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "center",
-    fontWeight: 700,
-    background: theme?.accentA,
-    color: "#fff",
-    boxShadow: glow ? `0 6px 30px ${theme?.accentA}55` : "none",
+function RoomChat({ community, currentUser, authorById, theme }) {
+  const service = useService();
+  const [messages, setMessages] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [text, setText] = useState("");
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const m = await service.fetchRoomMessages(community.id, currentUser.id);
+        if (!mounted) return;
+        setMessages(m);
+        setLoadError("");
+      } catch (e) {
+        if (mounted) setLoadError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if ((e.type === "room_message" && e.message.communityId === community.id) || (e.type === "community" && e.communityId === community.id)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [community.id, currentUser.id]);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages.length]);
+
+  const send = async () => {
+    if (!text.trim()) return;
+    try {
+      await service.sendRoomMessage(currentUser.id, community.id, text);
+      setText("");
+    } catch (e) {
+      alert(e.message);
+    }
   };
-  return <div style={style} className="flex-shrink-0">{letter}</div>;
-}
 
-/* -------------------- STORIES BAR -------------------- */
-function StoriesBar({ users, onOpen }) {
   return (
-    <div className="flex gap-3 overflow-x-auto py-2">
-      {users.map((u) => (
-        <button key={u.id} onClick={() => onOpen(u)} className="flex flex-col items-center gap-1 min-w-[64px]">
-          <div className="w-14 h-14 rounded-full p-0.5" style={{ background: "linear-gradient(90deg,#ff007a,#00ff9d)" }}>
-            <div className="w-full h-full rounded-full bg-black/80 flex items-center justify-center text-white font-semibold">{u.avatar}</div>
-          </div>
-          <div className="text-[11px] text-slate-300">{u.display}</div>
-        </button>
-      ))}
+    <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+      <div ref={listRef} className="h-72 overflow-y-auto space-y-2 mb-2">
+        {messages.map((m) => {
+          const mine = m.from === currentUser.id;
+          const sender = mine ? currentUser : authorById(m.from);
+          return (
+            <div key={m.id} className={`flex gap-2 ${mine ? "flex-row-reverse" : ""}`}>
+              <Avatar letter={sender.avatar} size={6} theme={theme} />
+              <div className={`p-2 rounded-md max-w-[80%] ${mine ? "bg-white/6" : "bg-white/3"}`}>
+                <div className="text-xs font-semibold">{mine ? "You" : sender.display} <span className="font-normal text-slate-400">{timeAgo(m.createdAt)}</span></div>
+                <div className="text-sm break-words">{m.body}</div>
+              </div>
+            </div>
+          );
+        })}
+        {loadError ? (
+          <div className="text-xs text-slate-400">Couldn't load the chat: {loadError}</div>
+        ) : (
+          !messages.length && <div className="text-xs text-slate-400">No messages yet. Say hello to the room.</div>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") send(); }} placeholder={`Message ${community.name}...`} className="flex-1 px-2 py-1 rounded-md bg-transparent border border-white/6 text-sm" />
+        <button onClick={send} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Send</button>
+      </div>
     </div>
   );
 }
 
-/* -------------------- COMPOSER -------------------- */
-function Composer({ currentUser, onCreate, theme }) {
-  const [text, setText] = useState("");
-  const [tags, setTags] = useState("");
-  const [mediaPreview, setMediaPreview] = useState(null);
-  const [mediaType, setMediaType] = useState(null);
-  const inputRef = useRef();
+function CommunityView({ community, currentUser, rooms, cardProps, onPosts, onCreate, onBack, theme }) {
+  const service = useService();
+  const [tab, setTab] = useState("feed"); // feed | chat | about
+  const [members, setMembers] = useState([]);
+  const [rulesDraft, setRulesDraft] = useState(null);
+  const [error, setError] = useState("");
+  const role = community.myRole;
+  const canModerate = role === "owner" || role === "moderator";
 
-  const handleFile = (file) => {
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setMediaPreview(e.target.result);
-      // very simplistic type guess
-      if (file.type.startsWith("image/")) setMediaType("image");
-      else if (file.type.startsWith("audio/")) setMediaType("audio");
-      else setMediaType("file");
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const m = await service.fetchMembers(community.id);
+        if (mounted) setMembers(m);
+      } catch (e) {
+        if (mounted) setError(e.message);
+      }
     };
-    reader.readAsDataURL(file);
-  };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "community" && e.communityId === community.id) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [community.id]);
 
-  const submit = async () => {
-    const payload = {
-      authorId: currentUser.id,
-      content: text.trim(),
-      media: mediaPreview,
-      mediaType,
-      tags: tags.split(",").map((t) => t.trim()).filter(Boolean),
-    };
-    if (!payload.content && !payload.media) {
-      alert("Write something or attach media.");
-      return;
+  const attempt = async (fn) => {
+    try {
+      await fn();
+      setError("");
+    } catch (e) {
+      setError(e.message);
     }
-    const created = await MockService.createPost(payload);
-    setText("");
-    setTags("");
-    setMediaPreview(null);
-    setMediaType(null);
-    if (inputRef.current) inputRef.current.value = "";
-    microPop(document.querySelector("body"));
-    onCreate(created);
+  };
+
+  const pages = usePostPages(`room:${community.id}`, { communityId: community.id }, { viewerId: currentUser.id, onPosts });
+  const roomPosts = pages.ids.map(cardProps.postById).filter(Boolean);
+
+  const created = (p) => {
+    if (p.communityId === community.id) pages.prepend([p]);
+    onCreate(p);
   };
 
   return (
-    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
-      <div className="flex gap-3">
-        <Avatar letter={currentUser.avatar} size={12} glow theme={theme} />
-        <div className="flex-1">
-          <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder="Share text, image or a creative clip..." className="w-full bg-transparent resize-none outline-none text-sm min-h-[64px]" />
-          {mediaPreview && (
-            <div className="mt-2">
-              {mediaType === "image" ? <img src={mediaPreview} alt="preview" className="max-h-40 rounded-lg shadow-md" /> : mediaType === "audio" ? <audio src={mediaPreview} controls className="w-full" /> : <a href={mediaPreview}>Attachment</a>}
-            </div>
-          )}
-          <div className="mt-2 flex items-center gap-2">
-            <input ref={inputRef} type="file" accept="image/*,audio/*" onChange={(e) => handleFile(e.target.files?.[0])} className="text-xs" />
-            <input placeholder="tags, comma separated" value={tags} onChange={(e) => setTags(e.target.value)} className="px-2 py-1 rounded-md text-xs bg-transparent border border-white/6 flex-1" />
-            <button onClick={submit} className="px-3 py-1 rounded-md font-semibold" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Post</button>
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <div className="text-lg font-semibold">{community.name}</div>
+            <div className="text-xs text-slate-400">{community.memberCount} members{role ? ` · you're ${role === "member" ? "a member" : `the ${role}`}` : ""}</div>
           </div>
+          <div className="flex gap-2">
+            {role ? (
+              role !== "owner" && <button onClick={() => attempt(() => service.leaveCommunity(currentUser.id, community.id))} className="px-3 py-1 rounded-md border text-xs">Leave</button>
+            ) : (
+              <button onClick={() => attempt(() => service.joinCommunity(currentUser.id, community.id))} className="px-3 py-1 rounded-md text-xs font-semibold" style={{ background: theme.accentA, color: "#fff" }}>Join</button>
+            )}
+            <button onClick={onBack} className="px-3 py-1 rounded-md border text-xs">Back</button>
+          </div>
+        </div>
+        {community.description && <div className="mt-2 text-sm">{community.description}</div>}
+        {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+        <div className="mt-3 flex gap-2 text-xs">
+          {[["feed", "Feed"], ["chat", "Room chat"], ["about", "Rules & members"]].map(([t, label]) => (
+            <button key={t} onClick={() => setTab(t)} className={`px-3 py-1 rounded-md border ${tab === t ? "font-semibold" : "opacity-70"}`} style={tab === t ? { borderColor: theme.accentA } : undefined}>{label}</button>
+          ))}
         </div>
       </div>
+
+      {tab === "feed" && (
+        <>
+          {role && <Composer key={community.id} currentUser={currentUser} rooms={rooms} communityId={community.id} onCreate={created} theme={theme} />}
+          <div>
+            <NewPostsPill pages={pages} theme={theme} />
+            <WindowedList items={roomPosts} renderItem={(p) => <PostCard post={p} author={cardProps.authorById(p.authorId)} {...cardProps} />} />
+            <LoadMore pages={pages} empty="Nothing posted in this room yet." theme={theme} />
+          </div>
+        </>
+      )}
+
+      {tab === "chat" && (role ? <RoomChat community={community} currentUser={currentUser} authorById={cardProps.authorById} theme={theme} /> : <div className="text-xs text-slate-400">Join the room to read and write in its chat.</div>)}
+
+      {tab === "about" && (
+        <div className="p-4 rounded-2xl space-y-3" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+          <div>
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-semibold">Rules</div>
+              {canModerate && rulesDraft === null && <button onClick={() => setRulesDraft(community.rules.join("\n"))} className="text-[11px] px-2 py-0.5 rounded-md border">Edit</button>}
+            </div>
+            {rulesDraft !== null ? (
+              <div className="mt-2 space-y-2">
+                <textarea value={rulesDraft} onChange={(e) => setRulesDraft(e.target.value)} rows={5} className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-xs resize-none" />
+                <div className="flex gap-2 text-xs">
+                  <button onClick={() => attempt(async () => { await service.updateRules(currentUser.id, community.id, rulesDraft.split("\n")); setRulesDraft(null); })} className="px-2 py-1 rounded-md border">Save</button>
+                  <button onClick={() => setRulesDraft(null)} className="px-2 py-1 rounded-md border">Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <ol className="mt-2 list-decimal list-inside text-sm space-y-1">
+                {community.rules.map((r, i) => <li key={i}>{r}</li>)}
+                {!community.rules.length && <div className="text-xs text-slate-400">No rules yet.</div>}
+              </ol>
+            )}
+          </div>
+          <div>
+            <div className="text-sm font-semibold">Members</div>
+            <div className="mt-2 space-y-1">
+              {members.map((m) => (
+                <div key={m.userId} className="flex items-center gap-2">
+                  <button onClick={() => cardProps.onOpenProfile(m.userId)} className="flex items-center gap-2 flex-1 text-left">
+                    <Avatar letter={m.user.avatar} size={6} theme={theme} />
+                    <span className="text-sm">{m.user.display}</span>
+                    <span className="text-[11px] text-slate-400">{m.role}</span>
+                  </button>
+                  {role === "owner" && m.userId !== currentUser.id && (
+                    <select value={m.role} onChange={(e) => { const next = e.target.value; if (next !== "owner" || confirm(`Make ${m.user.display} the owner? You'll become a moderator.`)) attempt(() => service.setRole(currentUser.id, community.id, m.userId, next)); }} className="bg-transparent border border-white/10 rounded-md px-1 py-0.5 text-[11px]">
+                      {COMMUNITY_ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
     </motion.div>
   );
 }
 
-/* -------------------- POST CARD -------------------- */
-function PostCard({ post, author, currentUser, onLike, onComment, theme }) {
-  const likeRef = useRef(null);
+/* -------------------- PROFILE -------------------- */
+function ProfileView({ userId, currentUser, safety, cardProps, onPosts, onMessage, onBack, theme }) {
+  const service = useService();
+  const [user, setUser] = useState(null);
+  const [followers, setFollowers] = useState([]);
+  const [following, setFollowing] = useState([]);
+  const [list, setList] = useState(null); // "followers" | "following"
+  const [editing, setEditing] = useState(null); // draft while editing your own profile
+  const [openPostId, setOpenPostId] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [loadError, setLoadError] = useState("");
+  const mine = userId === currentUser.id;
+  const pages = usePostPages(`author:${userId}`, { authorId: userId }, { viewerId: currentUser.id, onPosts });
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      let u, fers, fing;
+      try {
+        [u, fers, fing] = await Promise.all([service.getUserById(userId), service.fetchFollowers(userId), service.fetchFollowing(userId)]);
+      } catch (e) {
+        if (mounted) setLoadError(e.message);
+        return;
+      }
+      if (!mounted) return;
+      setLoadError("");
+      setUser(u);
+      setFollowers(fers);
+      setFollowing(fing);
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "follow" || e.type === "unfollow" || e.type === "safety" || (e.type === "user" && e.user.id === userId)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [userId]);
+
+  useEffect(() => {
+    setList(null);
+    setEditing(null);
+    setOpenPostId(null);
+    setNotice("");
+  }, [userId]);
+
+  if (!user) return <div className="text-slate-300">{loadError ? `Couldn't load this profile: ${loadError}` : "Loading..."}</div>;
+
+  const theirPosts = pages.ids.map(cardProps.postById).filter(Boolean);
+  const openPost = theirPosts.find((p) => p.id === openPostId);
+  const iFollow = followers.some((u) => u.id === currentUser.id);
+  const blocked = !!safety?.blocked.includes(userId);
+  const muted = !!safety?.mutedUsers.includes(userId);
+
+  const toggleFollow = async () => {
+    try {
+      if (iFollow) await service.unfollow(currentUser.id, userId);
+      else await service.follow(currentUser.id, userId);
+    } catch (e) {
+      setNotice(e.message);
+    }
+  };
+
+  const tip = async (amount) => {
+    try {
+      await service.tip(currentUser.id, userId, amount);
+      setNotice(`Sent ${user.display} a ${formatMoney(amount)} tip.`);
+    } catch (e) {
+      setNotice(e.message);
+    }
+  };
+
+  const saveProfile = async () => {
+    try {
+      await service.updateProfile(userId, editing);
+      setEditing(null);
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
   return (
-    <motion.article layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }} className="p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
-      <div className="flex gap-3">
-        <Avatar letter={author?.avatar || "?"} size={12} glow theme={theme} />
-        <div className="flex-1">
-          <div className="flex items-start justify-between">
-            <div>
-              <div className="text-sm font-semibold" style={{ color: theme.text }}>{author?.display || "Unknown"}</div>
-              <div className="text-xs text-slate-400">{new Date(post.createdAt).toLocaleString()}</div>
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-3">
+      <div className="rounded-2xl overflow-hidden" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+        <div className="h-24 relative" style={{ background: editing?.headerColor || user.headerColor || PROFILE_COLORS[0] }}>
+          <button onClick={onBack} className="absolute top-2 left-2 text-xs px-2 py-1 rounded-md bg-black/40 text-white">Back</button>
+        </div>
+        <div className="px-4 pb-4">
+          <div className="flex items-end justify-between -mt-8">
+            <div className="rounded-full p-1" style={{ background: theme.card }}>
+              <Avatar letter={user.avatar} size={16} glow theme={theme} />
+            </div>
+            <div className="flex gap-2">
+              {mine ? (
+                !editing && <button onClick={() => setEditing({ display: user.display, bio: user.bio || "", headerColor: user.headerColor || PROFILE_COLORS[0] })} className="px-3 py-1 rounded-md border text-xs">Edit profile</button>
+              ) : (
+                <>
+                  {!blocked && (
+                    <>
+                      <button onClick={toggleFollow} className="px-3 py-1 rounded-md text-xs font-semibold" style={iFollow ? { border: `1px solid ${theme.accentA}` } : { background: theme.accentA, color: "#fff" }}>{iFollow ? "Following" : "Follow"}</button>
+                      <button onClick={() => onMessage(userId)} className="px-3 py-1 rounded-md border text-xs">Message</button>
+                      <select value="" onChange={(e) => tip(Number(e.target.value))} aria-label="Tip" className="px-2 py-1 rounded-md border text-xs bg-transparent">
+                        <option value="" disabled>Tip</option>
+                        {TIP_AMOUNTS.map((a) => <option key={a} value={a}>{formatMoney(a)}</option>)}
+                      </select>
+                    </>
+                  )}
+                  <select
+                    value=""
+                    onChange={(e) => ({ mute: () => cardProps.onMuteUser(userId), unmute: () => cardProps.onUnmuteUser(userId), block: () => cardProps.onBlock(userId), unblock: () => cardProps.onUnblock(userId), report: () => cardProps.onReport({ kind: "user", targetId: userId }) })[e.target.value]()}
+                    aria-label="More"
+                    className="px-2 py-1 rounded-md border text-xs bg-transparent"
+                  >
+                    <option value="" disabled>⋯</option>
+                    {!blocked && <option value={muted ? "unmute" : "mute"}>{muted ? "Unmute" : "Mute"}</option>}
+                    <option value={blocked ? "unblock" : "block"}>{blocked ? "Unblock" : "Block"}</option>
+                    <option value="report">Report</option>
+                  </select>
+                </>
+              )}
             </div>
-            <div className="text-xs text-slate-300">{post.likes} ❤</div>
           </div>
 
-          <div className="mt-3 text-sm leading-relaxed" style={{ color: theme.text }}>{post.content}</div>
-
-          {post.media && post.mediaType === "image" && (
-            <div className="mt-3">
-              <img src={post.media} alt="post-media" className="rounded-xl max-h-64 w-full object-cover shadow" />
+          {editing ? (
+            <div className="mt-3 space-y-2">
+              <input value={editing.display} onChange={(e) => setEditing((d) => ({ ...d, display: e.target.value }))} maxLength={40} className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-sm" placeholder="Display name" />
+              <textarea value={editing.bio} onChange={(e) => setEditing((d) => ({ ...d, bio: e.target.value }))} maxLength={160} rows={3} className="w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-sm resize-none" placeholder="Bio" />
+              <div className="flex gap-2">
+                {PROFILE_COLORS.map((c) => (
+                  <button key={c} onClick={() => setEditing((d) => ({ ...d, headerColor: c }))} className="w-6 h-6 rounded-full" style={{ background: c, outline: c === editing.headerColor ? `2px solid ${theme.accentB}` : "none" }} aria-label={`Header colour ${c}`} />
+                ))}
+                {PREMIUM_COLORS.map((c) => (
+                  <button key={c} disabled={!user.premium} onClick={() => setEditing((d) => ({ ...d, headerColor: c }))} title={user.premium ? undefined : "Premium colour"} className={`w-6 h-6 rounded-full text-[10px] ${user.premium ? "" : "opacity-40 cursor-not-allowed"}`} style={{ background: c, outline: c === editing.headerColor ? `2px solid ${theme.accentB}` : "none" }} aria-label={`Premium header colour ${c}`}>
+                    {!user.premium && "🔒"}
+                  </button>
+                ))}
+              </div>
+              {error && <div className="text-xs text-red-400">{error}</div>}
+              <div className="flex gap-2">
+                <button onClick={saveProfile} className="px-3 py-1 rounded-md text-xs" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Save</button>
+                <button onClick={() => setEditing(null)} className="px-3 py-1 rounded-md border text-xs">Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <div className="mt-2">
+              <div className="text-lg font-semibold">{user.display}</div>
+              <div className="text-xs text-slate-400">@{user.username}{user.premium ? " · Premium" : ""}</div>
+              {user.bio && <div className="mt-2 text-sm">{user.bio}</div>}
+              {notice && <div className="mt-2 text-xs text-slate-300">{notice}</div>}
             </div>
-          )}
-          {post.media && post.mediaType === "audio" && (
-            <div className="mt-3"><audio controls src={post.media} className="w-full" /></div>
           )}
 
-          <div className="mt-3 flex items-center gap-2">
-            <button ref={likeRef} onClick={() => { onLike(post.id); microPop(likeRef.current); }} className="px-2 py-1 rounded-md border text-xs">Like</button>
-            <button onClick={() => onComment(post.id)} className="px-2 py-1 rounded-md border text-xs">Comment</button>
-            <button className="px-2 py-1 rounded-md border text-xs">Share</button>
+          <div className="mt-3 flex gap-4 text-xs">
+            <span><b>{pages.total ?? theirPosts.length}</b> posts</span>
+            <button onClick={() => setList((l) => (l === "followers" ? null : "followers"))}><b>{followers.length}</b> followers</button>
+            <button onClick={() => setList((l) => (l === "following" ? null : "following"))}><b>{following.length}</b> following</button>
           </div>
 
-          {/* comments — only visible to author (private comments) */}
-          <div className="mt-3 space-y-2">
-            {(post.comments || []).map((c) => (
-              <div key={c.id} className={`p-2 rounded-md ${c.authorId === currentUser.id ? "bg-white/6 ml-auto" : "bg-white/3"}`}>
-                <div className="text-xs font-semibold">{c.authorId === currentUser.id ? "You (private)" : "Someone"}</div>
-                <div className="text-sm">{c.body}</div>
-              </div>
-            ))}
-          </div>
+          {list && (
+            <div className="mt-2 space-y-1">
+              {(list === "followers" ? followers : following).map((u) => (
+                <button key={u.id} onClick={() => cardProps.onOpenProfile(u.id)} className="w-full flex items-center gap-2 p-1 rounded-md text-left hover:bg-white/5">
+                  <Avatar letter={u.avatar} size={6} theme={theme} />
+                  <span className="text-sm">{u.display}</span>
+                  <span className="text-xs text-slate-400">@{u.username}</span>
+                </button>
+              ))}
+              {!(list === "followers" ? followers : following).length && <div className="text-xs text-slate-400">Nobody yet.</div>}
+            </div>
+          )}
         </div>
       </div>
-    </motion.article>
+
+      {openPost && <PostCard post={openPost} author={user} defaultExpanded {...cardProps} />}
+
+      <div className="grid grid-cols-3 gap-2">
+        {theirPosts.map((p) => {
+          const shown = p.kind === "repost" ? p.original || { content: "Unavailable" } : p;
+          return (
+            <button key={p.id} onClick={() => setOpenPostId((id) => (id === p.id ? null : p.id))} className="aspect-square rounded-xl overflow-hidden text-left p-2 text-[11px] leading-snug" style={{ background: theme.card, border: `1px solid ${p.id === openPostId ? theme.accentA : theme.soft}` }}>
+              {shown.attachments?.length > 0 && shown.attachments[0].kind !== "audio" ? <MediaThumb attachment={shown.attachments[0]} className="w-full h-full rounded-lg" /> : <span className="line-clamp-6">{p.kind === "repost" && "↻ "}{shown.content || "♪ Audio"}</span>}
+            </button>
+          );
+        })}
+      </div>
+      {blocked ? (
+        <div className="text-xs text-slate-400">You blocked {user.display}. Unblock them to see their posts again.</div>
+      ) : muted ? (
+        <div className="text-xs text-slate-400">You muted {user.display}, so their posts are hidden.</div>
+      ) : (
+        <LoadMore pages={pages} empty="No posts yet." theme={theme} />
+      )}
+    </motion.div>
   );
 }
 
 /* -------------------- MESSAGES -------------------- */
-function ChatPanel({ currentUser, onClose, theme }) {
-  const [convo, setConvo] = useState([]);
+function ChatPanel({ currentUser, users, messages, partnerId, onPartner, onClose, theme }) {
+  const service = useService();
   const [text, setText] = useState("");
+  const [picking, setPicking] = useState(false);
+  const [query, setQuery] = useState("");
+  const [myKey, setMyKey] = useState(null);
+  const [partnerKeys, setPartnerKeys] = useState(null); // null while loading
+  const [showKeys, setShowKeys] = useState(false);
+  // fingerprints per partner: the one we last accepted (trust on first use) and the one checked with them
+  const trustKey = userKey(currentUser.id, "ml_key_trust");
+  const [trust, setTrust] = useState(() => LS.get(trustKey, { known: {}, verified: {} }));
+  const listRef = useRef(null);
+  const plain = useDecrypted(messages, currentUser.id);
+
+  const conversations = groupConversations(messages, currentUser.id);
+  const userById = (id) => users.find((u) => u.id === id) || { id, display: "Unknown", avatar: "?" };
+  const partner = partnerId ? userById(partnerId) : null;
+  const thread = conversations.find((c) => c.partnerId === partnerId)?.messages || [];
+  const hasUnread = thread.some((m) => m.to === currentUser.id && m.from !== currentUser.id && !m.readAt);
+  const lastOutgoing = [...thread].reverse().find((m) => m.from === currentUser.id && !m.sync);
 
   useEffect(() => {
-    let mounted = true;
-    (async () => {
-      const m = await MockService.fetchMessages(currentUser.id);
-      if (mounted) setConvo(m);
-    })();
-    return () => { mounted = false; };
+    if (partnerId && hasUnread) service.markConversationRead(currentUser.id, partnerId).catch((e) => console.error(e));
+  }, [partnerId, hasUnread, currentUser.id]);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [partnerId, thread.length]);
+
+  useEffect(() => {
+    E2E.setup(service, currentUser.id).then(setMyKey, () => setMyKey(null));
   }, [currentUser.id]);
 
+  useEffect(() => {
+    setShowKeys(false);
+    setPartnerKeys(null);
+    if (!partnerId) return;
+    let mounted = true;
+    const load = () => E2E.keysOf(service, partnerId).then((k) => { if (mounted) setPartnerKeys(k); }, () => {});
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "key" && e.userId === partnerId) {
+        E2E.forget(partnerId);
+        load();
+      }
+    });
+    return () => { mounted = false; off(); };
+  }, [partnerId]);
+
+  const saveTrust = (next) => {
+    setTrust(next);
+    LS.set(trustKey, next);
+  };
+  const partnerKey = partnerKeys?.[partnerKeys.length - 1] || null;
+  const knownKey = partnerId ? trust.known[partnerId] : null;
+  const keyChanged = !!partnerKey && !!knownKey && knownKey !== partnerKey.fingerprint;
+  const verified = !!partnerKey && trust.verified[partnerId] === partnerKey.fingerprint;
+
+  // the first key we see for someone is taken on trust; any later change has to be accepted
+  useEffect(() => {
+    if (partnerKey && !knownKey) saveTrust({ ...trust, known: { ...trust.known, [partnerId]: partnerKey.fingerprint } });
+  }, [partnerKey?.fingerprint, knownKey]);
+
+  const acceptKey = () => {
+    const { [partnerId]: _, ...stillVerified } = trust.verified;
+    saveTrust({ known: { ...trust.known, [partnerId]: partnerKey.fingerprint }, verified: stillVerified });
+  };
+  const toggleVerified = () => {
+    const { [partnerId]: _, ...others } = trust.verified;
+    saveTrust({ ...trust, verified: verified ? others : { ...others, [partnerId]: partnerKey.fingerprint } });
+  };
+
   const send = async () => {
-    if (!text.trim()) return;
-    // for demo, always send to Ava (u_ava)
-    const msg = await MockService.sendMessage({ from: currentUser.id, to: "u_ava", body: text.trim() });
-    setConvo((s) => [...s, msg]);
+    if (!text.trim() || !partnerId) return;
+    if (!partnerKey) {
+      alert(`${partner.display} hasn't set up encrypted messages yet. They need to open MindLink once before you can message them.`);
+      return;
+    }
+    if (keyChanged) return;
+    try {
+      await E2E.setup(service, currentUser.id);
+      const cipher = await E2E.encrypt(service, currentUser.id, partnerId, text.trim(), partnerKey.fingerprint);
+      await service.sendMessage({ from: currentUser.id, to: partnerId, cipher });
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    Insight.record(currentUser.id, { type: "message", authorId: partnerId });
     setText("");
   };
 
+  const startWith = (id) => {
+    setPicking(false);
+    setQuery("");
+    onPartner(id);
+  };
+
+  const q = query.trim().toLowerCase();
+  const candidates = users.filter((u) => u.id !== currentUser.id && (!q || u.display.toLowerCase().includes(q) || u.username?.toLowerCase().includes(q)));
+
+  const preview = (m) => plain.get(m.id)?.text ?? (m.cipher ? "🔒 Encrypted message" : m.body);
+  const lock = !partnerKeys ? null : !partnerKey ? "Not set up" : keyChanged ? "⚠ Key changed" : verified ? "🔒 Verified" : "🔒 Encrypted";
+  // which of the partner's keys each message used, to mark where it changed
+  const partnerKeyOf = (m) => m.cipher && (m.from === currentUser.id ? m.cipher.recipientKey : m.cipher.senderKey);
+
   return (
     <motion.div initial={{ x: 200, opacity: 0 }} animate={{ x: 0, opacity: 1 }} className="fixed right-4 bottom-4 w-[320px] md:w-[360px] p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
       <div className="flex items-center justify-between mb-2">
-        <div className="font-semibold" style={{ color: theme.text }}>Messages</div>
+        {partner ? (
+          <div className="flex items-center gap-2">
+            <button onClick={() => onPartner(null)} className="text-xs px-2 py-1 rounded-md border">Back</button>
+            <Avatar letter={partner.avatar} size={7} theme={theme} />
+            <div>
+              <div className="font-semibold text-sm" style={{ color: theme.text }}>{partner.display}</div>
+              {lock && (
+                <button onClick={() => setShowKeys((v) => !v)} disabled={!partnerKey} aria-expanded={showKeys} className="text-[10px] hover:underline" style={{ color: keyChanged ? theme.accentA : verified ? theme.accentB : undefined }}>
+                  {lock}
+                </button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="font-semibold" style={{ color: theme.text }}>Messages</div>
+        )}
         <div className="flex gap-2">
+          {!partner && <button onClick={() => setPicking((p) => !p)} className="text-xs px-2 py-1 rounded-md border">{picking ? "Cancel" : "New"}</button>}
           <button onClick={onClose} className="text-xs px-2 py-1 rounded-md border">Close</button>
         </div>
       </div>
 
-      <div className="max-h-40 overflow-y-auto space-y-2 mb-2">
-        {convo.map((m) => (
-          <div key={m.id} className={`p-2 rounded-md ${m.from === currentUser.id ? "ml-auto bg-white/6" : "bg-white/3"}`}>
-            <div className="text-xs font-semibold">{m.from === currentUser.id ? "You" : "Ava"}</div>
-            <div className="text-sm">{m.body}</div>
+      {!partner && picking && (
+        <div className="mb-2">
+          <input autoFocus value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search people..." className="w-full px-2 py-1 mb-2 rounded-md bg-transparent border border-white/6 text-sm" />
+          <div className="max-h-40 overflow-y-auto space-y-1">
+            {candidates.map((u) => (
+              <button key={u.id} onClick={() => startWith(u.id)} className="w-full flex items-center gap-2 p-2 rounded-md text-left hover:bg-white/5">
+                <Avatar letter={u.avatar} size={7} theme={theme} />
+                <div className="text-sm">{u.display}</div>
+                <div className="text-xs text-slate-400">@{u.username}</div>
+              </button>
+            ))}
+            {!candidates.length && <div className="text-xs text-slate-400">No one matches.</div>}
           </div>
-        ))}
-      </div>
+        </div>
+      )}
 
-      <div className="flex gap-2">
-        <input value={text} onChange={(e) => setText(e.target.value)} placeholder="Send a message..." className="flex-1 px-2 py-1 rounded-md bg-transparent border border-white/6 text-sm" />
-        <button onClick={send} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Send</button>
-      </div>
+      {!partner && !picking && (
+        <div className="max-h-60 overflow-y-auto space-y-1">
+          {conversations.map((c) => {
+            const u = userById(c.partnerId);
+            return (
+              <button key={c.partnerId} onClick={() => onPartner(c.partnerId)} className="w-full flex items-center gap-2 p-2 rounded-md text-left hover:bg-white/5">
+                <Avatar letter={u.avatar} size={8} theme={theme} />
+                <div className="flex-1 min-w-0">
+                  <div className={`text-sm ${c.unread ? "font-semibold" : ""}`}>{u.display}</div>
+                  <div className="text-xs text-slate-400 truncate">{c.last.from === currentUser.id ? "You: " : ""}{preview(c.last)}</div>
+                </div>
+                {c.unread > 0 && <span className="min-w-[18px] h-[18px] px-1 rounded-full text-[10px] font-bold flex items-center justify-center" style={{ background: theme.accentA, color: "#fff" }}>{c.unread}</span>}
+              </button>
+            );
+          })}
+          {!conversations.length && <div className="text-xs text-slate-400">No conversations yet — start one with New.</div>}
+        </div>
+      )}
+
+      {partner && keyChanged && (
+        <div role="alert" className="mb-2 p-2 rounded-md text-xs border" style={{ borderColor: theme.accentA }}>
+          ⚠ {partner.display}'s security key changed on {new Date(partnerKey.createdAt).toLocaleString()}. That happens when they set MindLink up again, but it could also mean someone is trying to listen in. Compare keys with them before sending anything private.
+          <div className="mt-1 flex gap-3">
+            <button onClick={() => setShowKeys(true)} className="underline">Compare keys</button>
+            <button onClick={acceptKey} className="underline" style={{ color: theme.accentB }}>Continue with the new key</button>
+          </div>
+        </div>
+      )}
+
+      {partner && showKeys && partnerKey && (
+        <div className="mb-2 p-2 rounded-md bg-white/3 text-xs space-y-1">
+          <div className="text-slate-400">Compare these with {partner.display} in person or on a call. If you both see the same numbers, nobody else can read this conversation.</div>
+          <div>Your key: <code className="font-mono">{formatFingerprint(myKey)}</code></div>
+          <div>{partner.display}'s key: <code className="font-mono">{formatFingerprint(partnerKey.fingerprint)}</code></div>
+          {!keyChanged && <button onClick={toggleVerified} className="underline" style={{ color: theme.accentB }}>{verified ? "Mark as not verified" : "Mark as verified"}</button>}
+        </div>
+      )}
+
+      {partner && (
+        <>
+          <div ref={listRef} className="max-h-60 overflow-y-auto space-y-2 mb-2">
+            {thread.map((m, i) => {
+              const mine = m.from === currentUser.id;
+              const sender = mine ? currentUser : partner;
+              const d = plain.get(m.id);
+              const before = thread.slice(0, i).reverse().find((x) => x.cipher);
+              const rekeyed = m.cipher && before && partnerKeyOf(before) !== partnerKeyOf(m);
+              return (
+                <React.Fragment key={m.id}>
+                  {rekeyed && <div className="text-center text-[10px] text-slate-400">🔑 {partner.display}'s key changed</div>}
+                  <div className={`flex gap-2 ${mine ? "flex-row-reverse" : ""}`}>
+                    <Avatar letter={sender.avatar} size={6} theme={theme} />
+                    <div className={`p-2 rounded-md max-w-[80%] ${mine ? "bg-white/6" : "bg-white/3"}`}>
+                      <div className="text-xs font-semibold">{mine ? "You" : sender.display}</div>
+                      {!d ? (
+                        <div className="text-sm text-slate-400">Decrypting…</div>
+                      ) : d.state === "failed" ? (
+                        <div className="text-sm text-slate-400">🔒 This message can't be decrypted on this device.</div>
+                      ) : (
+                        <div className="text-sm break-words">{d.text}</div>
+                      )}
+                      {d?.state === "legacy" && <div className="text-[10px] mt-1" style={{ color: theme.accentA }} title="Sent before messages were end-to-end encrypted">⚠ Not encrypted</div>}
+                      {m.sync ? (
+                        <div className="mt-1"><SyncBadge sync={m.sync} theme={theme} /></div>
+                      ) : m === lastOutgoing && (
+                        <div className="text-[10px] text-slate-400 mt-1">{m.readAt ? `Seen ${new Date(m.readAt).toLocaleTimeString()}` : "Sent"}</div>
+                      )}
+                    </div>
+                  </div>
+                </React.Fragment>
+              );
+            })}
+            {!thread.length && <div className="text-xs text-slate-400">Say hi to {partner.display}.</div>}
+          </div>
+
+          <div className="flex gap-2">
+            <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") send(); }} disabled={keyChanged} placeholder={keyChanged ? "Accept or check the new key first" : `Message ${partner.display}...`} className="flex-1 px-2 py-1 rounded-md bg-transparent border border-white/6 text-sm" />
+            <button onClick={send} disabled={keyChanged} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Send</button>
+          </div>
+        </>
+      )}
     </motion.div>
   );
 }
 
+/* -------------------- NOTIFICATIONS -------------------- */
+const NOTIFICATION_LABELS = { like: "Likes", comment: "Comments on your posts", reply: "Replies to your comments", follow: "New followers", message: "Messages", mention: "Mentions" };
+
+// Notifications about the same thing share a row: likes, comments and replies per post, messages per
+// sender, follows all together. Takes fetchNotifications() order (newest first) and keeps it.
+const groupNotifications = (list) => {
+  const groups = new Map();
+  for (const n of list) {
+    const key = n.type === "follow" ? "follow" : n.type === "message" ? `message:${n.partnerId}` : `${n.type}:${n.postId}`;
+    const g = groups.get(key) || { key, type: n.type, postId: n.postId, partnerId: n.partnerId, actorIds: [], ids: [], unread: 0, latestAt: n.createdAt };
+    if (!g.actorIds.includes(n.actorId)) g.actorIds.push(n.actorId);
+    g.ids.push(n.id);
+    if (!n.readAt) g.unread += 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()];
+};
+
+// "Ava and 3 others liked your post"
+const describeNotification = (g, nameOf) => {
+  const [first, ...rest] = g.actorIds.map(nameOf);
+  const who = !rest.length ? first : rest.length === 1 ? `${first} and ${rest[0]}` : `${first} and ${rest.length} others`;
+  const what = {
+    like: "liked your post",
+    comment: "commented on your post",
+    reply: "replied to your comment",
+    follow: "followed you",
+    mention: "mentioned you in a post",
+    message: g.ids.length > 1 ? `sent you ${g.ids.length} messages` : "sent you a message",
+  }[g.type];
+  return `${who} ${what}`;
+};
+
+function NotificationBell({ currentUser, authorById, postById, onOpenPost, onOpenChat, onOpenProfile, theme }) {
+  const service = useService();
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState(false);
+  const [items, setItems] = useState([]);
+  const [muted, setMuted] = useState([]);
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const [list, prefs] = await Promise.all([service.fetchNotifications(currentUser.id), service.fetchNotificationSettings(currentUser.id)]);
+        if (!mounted) return;
+        setItems(list);
+        setMuted(prefs.muted);
+      } catch (e) {
+        console.error(e); // the next notification tries again
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "notification" && e.userIds.includes(currentUser.id)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const groups = groupNotifications(items);
+  const unread = items.filter((n) => !n.readAt).length;
+
+  // read state is a nicety; failing to store it shouldn't get in the way
+  const markRead = (ids) => service.markNotificationsRead(currentUser.id, ids).catch((e) => console.error(e));
+
+  const go = (g) => {
+    setOpen(false);
+    if (g.unread) markRead(g.ids);
+    if (g.type === "message") onOpenChat(g.partnerId);
+    else if (g.type === "follow") onOpenProfile(g.actorIds.length === 1 ? g.actorIds[0] : currentUser.id);
+    else onOpenPost(g.postId);
+  };
+
+  const toggleMuted = async (type) => {
+    try {
+      setMuted((await service.setNotificationMuted(currentUser.id, type, !muted.includes(type))).muted);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  return (
+    <div ref={boxRef} className="relative">
+      <button onClick={() => setOpen((o) => !o)} aria-haspopup="true" aria-expanded={open} aria-label={`Notifications${unread ? `, ${unread} unread` : ""}`} className="relative px-3 py-1 rounded-md border text-xs">
+        🔔
+        {unread > 0 && (
+          <span className="absolute -top-2 -right-2 min-w-[18px] h-[18px] px-1 rounded-full text-[10px] font-bold flex items-center justify-center" style={{ background: theme.accentA, color: "#fff" }}>{unread}</span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-80 p-2 rounded-lg shadow-lg z-30" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-sm font-semibold">{settings ? "Notify me about" : "Notifications"}</div>
+            <div className="flex gap-2 text-[11px]">
+              {!settings && unread > 0 && <button onClick={() => markRead()} className="underline text-slate-400">Mark all read</button>}
+              <button onClick={() => setSettings((v) => !v)} className="underline text-slate-400">{settings ? "Done" : "Settings"}</button>
+            </div>
+          </div>
+
+          {settings ? (
+            <div className="space-y-1">
+              {NOTIFICATION_TYPES.map((t) => (
+                <label key={t} className="flex items-center gap-2 text-xs">
+                  <input type="checkbox" checked={!muted.includes(t)} onChange={() => toggleMuted(t)} />
+                  {NOTIFICATION_LABELS[t]}
+                </label>
+              ))}
+              <div className="text-[11px] text-slate-400 pt-1">Muted types stop arriving; ones you already have stay.</div>
+            </div>
+          ) : (
+            <div className="max-h-80 overflow-y-auto space-y-1">
+              {groups.map((g) => {
+                const actor = authorById(g.actorIds[0]);
+                const post = g.postId && postById(g.postId);
+                return (
+                  <button key={g.key} onClick={() => go(g)} className="w-full flex items-start gap-2 p-2 rounded-md text-left hover:bg-white/5" style={g.unread ? { background: "rgba(255,255,255,0.04)" } : undefined}>
+                    <Avatar letter={actor.avatar} size={7} theme={theme} />
+                    <div className="flex-1 min-w-0">
+                      <div className={`text-xs ${g.unread ? "font-semibold" : ""}`}>{describeNotification(g, (id) => authorById(id).display)}</div>
+                      {post && <div className="text-[11px] text-slate-400 truncate">{post.content}</div>}
+                      <div className="text-[10px] text-slate-500">{timeAgo(g.latestAt)}</div>
+                    </div>
+                    {g.unread > 0 && <span className="mt-1 w-2 h-2 rounded-full" style={{ background: theme.accentA }} />}
+                  </button>
+                );
+              })}
+              {!groups.length && <div className="text-xs text-slate-400 p-2">Nothing yet — likes, comments, follows and messages show up here.</div>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /* -------------------- NAV / LAYOUT -------------------- */
 
-export default function MindLink() {
-  const [themeName, setThemeName] = useState(LS.get("ml_theme", "dark"));
+// Everything that belongs to one signed-in account. MindLink remounts it (keyed by
+// user id) on every account switch, so no state leaks from one account to the next.
+function MindLinkSession({ currentUser, onOpenAccounts }) {
+  const service = useService();
+  const [themeName, setThemeName] = useState(() => LS.get(userKey(currentUser.id, "ml_theme"), "dark"));
   const theme = themeName === "dark" ? THEME.dark : THEME.light;
-  const [currentUser, setCurrentUser] = useState(() => LS.get("ml_user", { id: "u_you", display: "You", avatar: "Y" }));
   const [users, setUsers] = useState([]);
   const [posts, setPosts] = useState([]);
-  const [showChat, setShowChat] = useState(false);
-  const [commentingPost, setCommentingPost] = useState(null);
+  const [inbox, setInbox] = useState([]);
+  const [storyGroups, setStoryGroups] = useState([]);
+  const [viewingStories, setViewingStories] = useState(null); // { groups, authorId } snapshot
+  const [composingStory, setComposingStory] = useState(false);
+  const [commentingPost, setCommentingPost] = useState(null); // { postId, replyTo }
+  const [commentVisibility, setCommentVisibility] = useState("public");
   const [loading, setLoading] = useState(true);
+  const [feedMode, setFeedMode] = useState(() => LS.get("ml_feed_mode", "foryou"));
+  const [ranking, setRanking] = useState(null); // Map postId -> { rank, score, reasons }
+  const [rankNonce, setRankNonce] = useState(0);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [communities, setCommunities] = useState(null);
+  const [communitiesError, setCommunitiesError] = useState("");
+  const [quoting, setQuoting] = useState(null); // post being quoted
+  const [deleted, setDeleted] = useState(null); // the post just deleted, while it can be undone
+  const [trends, setTrends] = useState({ tags: [], people: [] });
+  const [safety, setSafety] = useState(null); // fetchSafety()
+  const [safetyError, setSafetyError] = useState("");
+  const [reporting, setReporting] = useState(null); // { kind, targetId }
+  const [missingPost, setMissingPost] = useState(null); // permalink id that turned out not to exist
+  const [unreachablePost, setUnreachablePost] = useState(null); // { postId, error }: couldn't be fetched (offline, server down)
+  const [linkAttempt, setLinkAttempt] = useState(0);
   const commentRef = useRef();
 
+  const { location, navigate, back } = useRouter();
+  const route = matchRoute(location.pathname);
+  // the chat opens over whatever page it was opened from
+  const background = route.name === "messages" ? location.state.background || "/" : location.pathname;
+  const view = route.name === "messages" ? matchRoute(background) : route;
+  const showChat = route.name === "messages";
+  const chatWith = route.params.userId || null;
+  const tagFilter = view.name === "tag" ? normalizeTag(view.params.tag) : null;
+
+  useEffect(() => {
+    LS.set(userKey(currentUser.id, "ml_theme"), themeName);
+  }, [currentUser.id, themeName]);
+
+  useEffect(() => {
+    LS.set("ml_feed_mode", feedMode);
+  }, [feedMode]);
+
+  // every post any list has loaded, by id; lists themselves only hold ids (see usePostPages)
+  const postsRef = useRef(posts);
+  postsRef.current = posts;
+  const mergePosts = (list) => {
+    if (!list.length) return;
+    setPosts((prev) => {
+      const fresh = new Map(list.map((p) => [p.id, p]));
+      return [...prev.map((p) => fresh.get(p.id) || p), ...list.filter((p) => !prev.some((x) => x.id === p.id))];
+    });
+  };
+
+  // search runs over the cache, so pull in older matches the feed hasn't paged to yet
   useEffect(() => {
-    LS.set("ml_theme", themeName);
-  }, [themeName]);
+    const q = searchQuery.trim();
+    if (!q) return;
+    const t = setTimeout(async () => {
+      try {
+        const { posts: found } = await service.fetchPosts({ viewerId: currentUser.id, filter: { text: q }, limit: 100 });
+        mergePosts(found);
+      } catch (e) {
+        console.error(e); // search still covers what's loaded
+      }
+    }, 250);
+    return () => clearTimeout(t);
+  }, [searchQuery, currentUser.id]);
+
+  // For you ranks the newest RANK_CANDIDATES posts together (usePostPages asks for them in one go),
+  // then anything older a page at a time below them. What's shown keeps its place, so the feed doesn't
+  // reshuffle under you; a reload (mode switch, Refresh) ranks afresh.
+  const rankGen = useRef(0); // like usePostPages' gen: a ranking for an older list doesn't land
+  const rankPage = async (page, reset) => {
+    const g = reset ? ++rankGen.current : rankGen.current;
+    const signals = await Insight.signals(currentUser.id);
+    const now = Date.now();
+    const ranked = rankPosts(page, buildProfile(signals, now), now);
+    if (g === rankGen.current) {
+      setRanking((prev) => {
+        const next = new Map(reset || !prev ? [] : prev);
+        const base = next.size;
+        ranked.forEach((r, i) => next.set(r.post.id, { rank: base + i, score: r.score, reasons: r.reasons }));
+        return next;
+      });
+    }
+    return ranked.map((r) => r.post);
+  };
+
+  const feedKey = tagFilter ? `tag:${tagFilter}` : `${feedMode}:${rankNonce}`;
+  const feedPages = usePostPages(feedKey, tagFilter ? { tag: tagFilter } : feedMode === "following" ? { following: true } : {}, { viewerId: currentUser.id, onPosts: mergePosts, rank: feedMode === "foryou" && !tagFilter ? rankPage : null });
 
   useEffect(() => {
     let mounted = true;
     (async () => {
       try {
-        const u = await MockService.fetchUsers();
-        const p = await MockService.fetchPosts();
-        if (!mounted) return;
-        setUsers(u);
-        setPosts(p);
+        const u = await service.fetchUsers();
+        if (mounted) setUsers(u);
       } catch (e) {
         console.error(e);
       } finally {
@@ -347,52 +5650,448 @@ export default function MindLink() {
       }
     })();
     return () => { mounted = false; };
-  }, []);
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const m = await service.fetchMessages(currentUser.id);
+        if (mounted) setInbox(m);
+      } catch (e) {
+        console.error(e);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "message" || e.type === "messages_read" || e.type === "outbox" || (e.type === "safety" && e.userIds.includes(currentUser.id))) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    let mounted = true;
+    let timer;
+    const load = async () => {
+      let g;
+      try {
+        g = await service.fetchStories(currentUser.id);
+      } catch (e) {
+        console.error(e);
+      }
+      if (!mounted) return;
+      clearTimeout(timer);
+      // try again shortly, so rings still go when their stories expire
+      if (!g) {
+        timer = setTimeout(load, 30000);
+        return;
+      }
+      setStoryGroups(g);
+      // reload when the next story expires so its ring disappears on time
+      if (g.length) timer = setTimeout(load, Math.max(1000, Math.min(...g.map((x) => x.expiresAt)) - Date.now()));
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "story" || e.type === "story_seen") load();
+    });
+    return () => { mounted = false; clearTimeout(timer); off(); };
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      const u = await service.fetchUsers();
+      if (mounted) setUsers(u);
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "user" || (e.type === "safety" && e.userIds.includes(currentUser.id))) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  // trending and who to follow are worked out by the service over the whole week, not the pages loaded
+  // here; the sidebar shows the top few, Explore all of them
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const t = await service.fetchTrends(currentUser.id, 20);
+        if (mounted) setTrends(t);
+      } catch (e) {
+        console.error(e);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (["post", "post_updated", "repost", "unrepost", "like", "unlike", "comment", "follow", "unfollow", "safety", "report"].includes(e.type)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  const openStories = (u) => {
+    const ordered = orderStoryGroups(storyGroups, currentUser.id);
+    if (ordered.some((g) => g.authorId === u.id)) setViewingStories({ groups: ordered, authorId: u.id });
+    else openProfile(u.id);
+  };
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const c = await service.fetchCommunities(currentUser.id);
+        if (!mounted) return;
+        setCommunities(c);
+        setCommunitiesError("");
+      } catch (e) {
+        if (mounted) setCommunitiesError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "community") load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  const rooms = communities || [];
+
+  // search sits on top of whatever page you're on until you go somewhere else
+  useEffect(() => {
+    setSearchQuery("");
+  }, [location.pathname]);
+
+  const openProfile = (userId) => {
+    const u = users.find((x) => x.id === userId);
+    if (u) navigate(PATHS.profile(u.username));
+  };
+  const openTag = (tag) => navigate(PATHS.tag(tag));
+  const openCommunity = (id) => {
+    const c = rooms.find((x) => x.id === id);
+    if (c) navigate(PATHS.community(c.slug));
+  };
+  const openSaved = () => navigate(PATHS.saved());
+  const openPost = (id) => navigate(PATHS.post(id));
+  const goHome = () => navigate(PATHS.feed());
+
+  const sync = useOutboxStatus();
+
+  usePostScheduler(currentUser.id);
+
+  // this account's message keypair, so people can write to it
+  useEffect(() => {
+    E2E.setup(service, currentUser.id).catch(() => {});
+  }, [currentUser.id]);
+
+  // queued writes going out (or bouncing) change what the feed should show, and so do edits, deletes,
+  // blocks, mutes and moderators taking things down
+  useEffect(
+    () =>
+      service.subscribe((e) => {
+        if (e.type === "outbox" || e.type === "post_updated" || (e.type === "safety" && e.userIds.includes(currentUser.id)) || (e.type === "report" && e.removed)) refreshPosts().catch((err) => console.error(err));
+      }),
+    [currentUser.id],
+  );
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const x = await service.fetchSafety(currentUser.id);
+        if (!mounted) return;
+        setSafety(x);
+        setSafetyError("");
+      } catch (e) {
+        if (mounted) setSafetyError(e.message);
+      }
+    };
+    load();
+    const off = service.subscribe((e) => {
+      if (e.type === "safety" && e.userIds.includes(currentUser.id)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  const unreadConversations = groupConversations(inbox, currentUser.id).filter((c) => c.unread > 0);
+  const unreadTotal = unreadConversations.reduce((n, c) => n + c.unread, 0);
 
-  const handleCreate = (p) => setPosts((prev) => [p, ...prev]);
+  const openChat = (userId = null) => navigate(PATHS.messages(userId), { state: { background } });
+  const closeChat = () => back(background);
 
+  const handleCreate = (p) => {
+    if (feedMode !== "following" && postMatches(p, tagFilter ? { tag: tagFilter } : {})) feedPages.prepend([p]);
+    else mergePosts([p]);
+    if (p.tags?.length) Insight.record(currentUser.id, { type: "compose", tags: p.tags });
+  };
+
+  const signalFor = (postId, type, extra) => {
+    const post = posts.find((x) => x.id === postId);
+    if (post) Insight.record(currentUser.id, { type, tags: post.tags, authorId: post.authorId, ...extra });
+  };
+
+  const handleDwell = (post, ms) => signalFor(post.id, "dwell", { ms });
+
+  const likesInFlight = useRef(new Set());
+
+  // optimistic toggle; rolled back if the service call fails
   const handleLike = async (id) => {
-    await MockService.likePost(id);
-    setPosts((prev) => prev.map((x) => (x.id === id ? { ...x, likes: x.likes + 1 } : x)));
-    microPop(document.querySelector("body"));
+    const post = posts.find((x) => x.id === id);
+    if (!post || likesInFlight.current.has(id)) return;
+    likesInFlight.current.add(id);
+    const liked = !post.likedByMe;
+    const patch = (likedByMe, delta) => setPosts((prev) => prev.map((x) => (x.id === id ? { ...x, likedByMe, likes: Math.max(0, x.likes + delta) } : x)));
+    patch(liked, liked ? 1 : -1);
+    try {
+      const res = liked ? await service.likePost(id, currentUser.id) : await service.unlikePost(id, currentUser.id);
+      // a like queued offline has no count yet, so the optimistic one stays
+      setPosts((prev) => prev.map((x) => (x.id === id ? { ...x, likedByMe: res.liked, likes: res.likes ?? x.likes } : x)));
+      if (liked) {
+        signalFor(id, "like");
+        microPop(document.querySelector("body"));
+      }
+    } catch (e) {
+      console.error(e);
+      patch(post.likedByMe, liked ? -1 : 1);
+    } finally {
+      likesInFlight.current.delete(id);
+    }
+  };
+
+  const openComment = (postId, replyTo = null) => {
+    setCommentingPost({ postId, replyTo });
+    setCommentVisibility("public");
   };
 
-  const openComment = (postId) => {
-    setCommentingPost(postId);
-    // focus/reveal is optional
+  // re-read every cached post; anything that's gone (removed, blocked, muted) drops out, and a post that
+  // was queued offline is swapped for the one the backend made of it
+  const refreshPosts = async () => {
+    const ids = postsRef.current.map((p) => p.id);
+    if (!ids.length) return;
+    const { posts: fresh } = await service.fetchPosts({ viewerId: currentUser.id, filter: { ids } });
+    const byKey = new Map();
+    for (const p of fresh) {
+      byKey.set(p.id, p);
+      if (p.clientId) byKey.set(p.clientId, p);
+    }
+    setPosts((prev) => {
+      const kept = prev.flatMap((p) => (!ids.includes(p.id) ? [p] : byKey.has(p.id) ? [byKey.get(p.id)] : []));
+      return kept.filter((p, i) => kept.findIndex((x) => x.id === p.id) === i);
+    });
   };
 
-  const submitComment = async (postId, body, isPrivate = true) => {
+  const submitComment = async ({ postId, replyTo }, body, visibility) => {
     if (!body.trim()) return;
-    const comment = { id: uid("c"), authorId: currentUser.id, body: body.trim(), private: !!isPrivate, createdAt: Date.now() };
-    await MockService.addComment(postId, comment);
-    // refresh posts
-    const p = await MockService.fetchPosts();
-    setPosts(p);
+    try {
+      await service.addComment(postId, { authorId: currentUser.id, body, visibility: replyTo ? "public" : visibility, parentId: replyTo?.id || null });
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    signalFor(postId, "comment");
+    await refreshPosts().catch((e) => console.error(e)); // it's posted either way; the next refresh shows it
     setCommentingPost(null);
   };
 
+  const handleLikeComment = async (commentId) => {
+    try {
+      await service.likeComment(commentId, currentUser.id);
+      await refreshPosts();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleSave = async (post) => {
+    const saved = !post.savedByMe;
+    const patch = (savedByMe) => setPosts((prev) => prev.map((x) => (x.id === post.id ? { ...x, savedByMe } : x)));
+    patch(saved);
+    try {
+      if (saved) await service.savePost(currentUser.id, post.id);
+      else await service.unsavePost(currentUser.id, post.id);
+    } catch (e) {
+      console.error(e);
+      patch(!saved);
+    }
+  };
+
+  const handleRepost = async (post) => {
+    try {
+      if (post.repostedByMe) await service.undoRepost(currentUser.id, post.id);
+      else await service.repost(currentUser.id, post.id);
+      await refreshPosts();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleQuoted = async (q) => {
+    setQuoting(null);
+    await refreshPosts().catch((e) => console.error(e));
+    if (q.tags?.length) Insight.record(currentUser.id, { type: "compose", tags: q.tags });
+  };
+
   const authorById = (id) => users.find((u) => u.id === id) || { display: "Unknown", avatar: "?" };
+  const postById = (id) => posts.find((p) => p.id === id) || posts.find((p) => p.clientId === id);
+
+  const safely = (fn) => async (...args) => {
+    try {
+      await fn(...args);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+  const handleEditPost = async (post, content) => {
+    try {
+      mergePosts([await service.editPost(currentUser.id, post.id, { content })]);
+      return true;
+    } catch (e) {
+      alert(e.message);
+      return false;
+    }
+  };
+  const handleDeletePost = safely(async (post) => {
+    await service.deletePost(currentUser.id, post.id);
+    setPosts((prev) => prev.filter((p) => p.id !== post.id));
+    setDeleted(post);
+  });
+  const undoDelete = safely(async () => {
+    const post = deleted;
+    setDeleted(null);
+    mergePosts([await service.restorePost(currentUser.id, post.id)]);
+  });
+  const handleMutePost = safely((post) => service.mutePost(currentUser.id, post.id));
+  const handleMuteUser = safely((userId) => service.muteUser(currentUser.id, userId));
+  const handleUnmuteUser = safely((userId) => service.unmuteUser(currentUser.id, userId));
+  const handleUnblock = safely((userId) => service.unblockUser(currentUser.id, userId));
+  const handleFollow = safely((userId) => service.follow(currentUser.id, userId));
+  const handleBlock = safely(async (userId) => {
+    if (confirm(`Block ${authorById(userId).display}? You won't see each other's posts or messages, and any follows between you end.`)) await service.blockUser(currentUser.id, userId);
+  });
+
+  // a permalink to a post no list has loaded
+  const linkedPostId = view.name === "post" ? view.params.postId : null;
+  const linkedLoaded = !!linkedPostId && !!postById(linkedPostId);
+  useEffect(() => {
+    if (!linkedPostId || linkedLoaded) return;
+    let mounted = true;
+    service
+      .fetchPost(linkedPostId, currentUser.id)
+      .then((p) => {
+        if (!mounted) return;
+        if (p) mergePosts([p]);
+        else setMissingPost(linkedPostId);
+      })
+      .catch((e) => {
+        if (mounted) setUnreachablePost({ postId: linkedPostId, error: e.message });
+      });
+    return () => { mounted = false; };
+  }, [linkedPostId, linkedLoaded, linkAttempt]);
+  const retryLinkedPost = () => {
+    setUnreachablePost(null);
+    setLinkAttempt((n) => n + 1);
+  };
+
+  // unranked posts (arrived since the last ranking) stay on top, newest first
+  const feedPosts = feedPages.ids.map(postById).filter(Boolean);
+  const feed =
+    feedMode === "foryou" && !tagFilter && ranking
+      ? feedPosts.slice().sort((a, b) => {
+          const ra = ranking.get(a.id);
+          const rb = ranking.get(b.id);
+          if (!ra || !rb) return (ra ? 1 : 0) - (rb ? 1 : 0) || b.createdAt - a.createdAt;
+          return ra.rank - rb.rank;
+        })
+      : feedPosts;
+
+  const joinedRooms = rooms.filter((c) => c.myRole);
+  const profileUser = view.name === "profile" ? users.find((u) => u.username === view.params.username) : null;
+  const community = view.name === "community" ? rooms.find((c) => c.slug === view.params.slug) : null;
+  const trending = trends.tags.slice(0, 5);
+  const people = trends.people.slice(0, 3);
+
+  // handlers every PostCard needs, wherever it's rendered
+  const cardProps = {
+    currentUser,
+    onLike: handleLike,
+    onComment: openComment,
+    onLikeComment: handleLikeComment,
+    onSave: handleSave,
+    onRepost: handleRepost,
+    onQuote: setQuoting,
+    onOpenPost: openPost,
+    onDwell: handleDwell,
+    onOpenProfile: openProfile,
+    onOpenTag: openTag,
+    onOpenCommunity: openCommunity,
+    onEditPost: handleEditPost,
+    onDeletePost: handleDeletePost,
+    onMutePost: handleMutePost,
+    onMuteUser: handleMuteUser,
+    onUnmuteUser: handleUnmuteUser,
+    onBlock: handleBlock,
+    onUnblock: handleUnblock,
+    onReport: setReporting,
+    communityById: (id) => rooms.find((c) => c.id === id),
+    authorById,
+    postById,
+    userByUsername: (name) => users.find((u) => u.username === name),
+    onNavigate: navigate,
+    filters: safety,
+    theme,
+  };
+  const moderates = !!currentUser.admin || rooms.some((c) => c.myRole === "owner" || c.myRole === "moderator");
 
   return (
     <div style={{ minHeight: "100vh", background: theme.bg, color: theme.text, fontFamily: "Inter, system-ui, -apple-system, 'Segoe UI', Roboto" }}>
       {/* NAVBAR */}
       <div className="sticky top-0 z-50" style={{ backdropFilter: "blur(6px)", background: themeName === "dark" ? "rgba(6,6,10,0.25)" : "rgba(255,255,255,0.4)" }}>
         <div className="max-w-6xl mx-auto p-3 flex items-center justify-between">
-          <div className="flex items-center gap-3">
+          <button onClick={goHome} className="flex items-center gap-3 text-left" aria-label="Home">
             <div style={{ width: 44, height: 44, borderRadius: 10, background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})` }} className="flex items-center justify-center text-black font-bold">ML</div>
             <div>
               <div className="font-semibold text-lg">MindLink</div>
               <div className="text-xs text-slate-300">Connect — privately, beautifully</div>
             </div>
+          </button>
+
+          <div className="flex-1 max-w-xs mx-4 hidden sm:block">
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => { if (e.key === "Escape") setSearchQuery(""); }}
+              placeholder="Search posts, tags, people..."
+              aria-label="Search"
+              className="w-full px-3 py-1 rounded-md bg-transparent border border-white/10 text-xs"
+            />
           </div>
 
           <div className="flex items-center gap-3">
+            {(!sync.online || sync.waiting > 0 || sync.failed > 0) && (
+              <span className="text-[11px] text-slate-400" title="Posts, likes, comments and messages wait on this device until they can be sent">
+                {sync.online ? "" : "Offline · "}
+                {sync.waiting > 0 ? `${sync.waiting} waiting to send` : sync.online ? "" : "changes are kept here"}
+                {sync.failed > 0 && <span style={{ color: theme.accentA }}>{sync.waiting > 0 || !sync.online ? " · " : ""}{sync.failed} not sent</span>}
+              </span>
+            )}
+            <NotificationBell currentUser={currentUser} authorById={authorById} postById={postById} onOpenPost={openPost} onOpenChat={openChat} onOpenProfile={openProfile} theme={theme} />
             <button onClick={() => setThemeName((t) => (t === "dark" ? "light" : "dark"))} className="px-3 py-1 rounded-md border text-xs">
               {themeName === "dark" ? "Light mode" : "Dark mode"}
             </button>
-            <button onClick={() => setShowChat((s) => !s)} className="px-3 py-1 rounded-md border text-xs">Messages</button>
-            <div className="text-xs">{currentUser.display}</div>
+            <button
+              onClick={() => (showChat ? closeChat() : openChat())}
+              title={unreadConversations.map((c) => `${authorById(c.partnerId).display}: ${c.unread} unread`).join("\n") || "No unread messages"}
+              className="relative px-3 py-1 rounded-md border text-xs"
+            >
+              Messages
+              {unreadTotal > 0 && (
+                <span className="absolute -top-2 -right-2 min-w-[18px] h-[18px] px-1 rounded-full text-[10px] font-bold flex items-center justify-center" style={{ background: theme.accentA, color: "#fff" }}>{unreadTotal}</span>
+              )}
+            </button>
+            <button onClick={onOpenAccounts} className="flex items-center gap-2 text-xs" title="Switch account">
+              <Avatar letter={currentUser.avatar} size={6} theme={theme} />
+              {currentUser.display}
+            </button>
           </div>
         </div>
       </div>
@@ -410,57 +6109,123 @@ export default function MindLink() {
             </div>
             <div className="mt-3 text-xs text-slate-400">Quick actions</div>
             <div className="mt-3 flex flex-col gap-2">
-              <button className="px-3 py-2 rounded-md text-xs text-left">Profile</button>
-              <button className="px-3 py-2 rounded-md text-xs text-left">Explore</button>
-              <button className="px-3 py-2 rounded-md text-xs text-left">Saved</button>
-              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={() => { LS.set("ml_user", null); setCurrentUser({ id: "u_you", display: "You", avatar: "Y" }); }}>Switch</button>
+              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={() => openProfile(currentUser.id)}>Profile</button>
+              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={() => navigate(PATHS.explore())}>Explore</button>
+              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={openSaved}>Saved</button>
+              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={() => navigate(PATHS.safety())}>Safety</button>
+              {moderates && <button className="px-3 py-2 rounded-md text-xs text-left" onClick={() => navigate(PATHS.moderation())}>Moderation</button>}
+              <button className="px-3 py-2 rounded-md text-xs text-left" onClick={onOpenAccounts}>Switch</button>
             </div>
           </div>
 
           <div>
-            <WalletPanelSimple theme={theme} />
+            <WalletPanel currentUser={currentUser} theme={theme} />
           </div>
 
           <div>
-            <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
-              <div className="text-sm font-semibold">Communities</div>
-              <div className="mt-2 text-xs text-slate-300">Join niche rooms for focused work & talk.</div>
-            </div>
+            <CommunityList communities={rooms} activeId={community?.id} currentUser={currentUser} onOpen={(c) => navigate(PATHS.community(c.slug))} theme={theme} />
           </div>
         </aside>
 
         {/* MAIN */}
         <main className="md:col-span-2 space-y-3 order-1 md:order-2">
-          <div className="p-2">
-            <StoriesBar users={users} onOpen={(u) => alert(`Open story for ${u.display} (demo)`)} />
-          </div>
+          {searchQuery.trim() ? (
+            <SearchResults query={searchQuery} posts={posts} users={users} cardProps={cardProps} onOpenTag={openTag} onClear={() => setSearchQuery("")} theme={theme} />
+          ) : view.name === "post" ? (
+            <div className="space-y-3">
+              <button onClick={() => back()} className="text-xs px-2 py-1 rounded-md border">← Back</button>
+              {postById(view.params.postId) ? (
+                <PostCard key={view.params.postId} post={postById(view.params.postId)} author={authorById(postById(view.params.postId).authorId)} defaultExpanded {...cardProps} />
+              ) : missingPost === view.params.postId ? (
+                <NotFound message="This post doesn't exist or was removed." onHome={goHome} theme={theme} />
+              ) : unreachablePost?.postId === view.params.postId ? (
+                <div className="p-6 rounded-2xl text-center" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
+                  <div className="text-sm text-slate-300">Couldn't load this post: {unreachablePost.error}</div>
+                  <button onClick={retryLinkedPost} className="mt-3 px-3 py-1 rounded-md border text-xs">Try again</button>
+                </div>
+              ) : (
+                <div className="text-slate-300">Loading...</div>
+              )}
+            </div>
+          ) : view.name === "saved" ? (
+            <SavedView currentUser={currentUser} cardProps={cardProps} onBack={() => back()} theme={theme} />
+          ) : view.name === "community" ? (
+            !communities ? (
+              <div className="text-slate-300">{communitiesError ? `Couldn't load communities: ${communitiesError}` : "Loading..."}</div>
+            ) : community ? (
+              <CommunityView
+                key={community.id}
+                community={community}
+                currentUser={currentUser}
+                rooms={joinedRooms}
+                cardProps={cardProps}
+                onPosts={mergePosts}
+                onCreate={handleCreate}
+                onBack={() => back()}
+                theme={theme}
+              />
+            ) : (
+              <NotFound message="That community doesn't exist." onHome={goHome} theme={theme} />
+            )
+          ) : view.name === "profile" ? (
+            loading ? (
+              <div className="text-slate-300">Loading...</div>
+            ) : profileUser ? (
+              <ProfileView userId={profileUser.id} currentUser={currentUser} safety={safety} cardProps={cardProps} onPosts={mergePosts} onMessage={openChat} onBack={() => back()} theme={theme} />
+            ) : (
+              <NotFound message={`There's nobody called @${view.params.username} here.`} onHome={goHome} theme={theme} />
+            )
+          ) : view.name === "explore" ? (
+            <ExplorePanel trending={trends.tags} people={trends.people.slice(0, 10)} onOpenTag={openTag} onOpenProfile={openProfile} onFollow={handleFollow} theme={theme} />
+          ) : view.name === "safety" ? (
+            <SafetyView currentUser={currentUser} safety={safety} loadError={safetyError} authorById={authorById} onOpenProfile={openProfile} onBack={() => back()} theme={theme} />
+          ) : view.name === "moderation" ? (
+            moderates ? (
+              <ModerationView currentUser={currentUser} authorById={authorById} communityById={cardProps.communityById} onOpenPost={openPost} onOpenProfile={openProfile} onBack={() => back()} theme={theme} />
+            ) : (
+              <NotFound message="Only admins and room moderators can review reports." onHome={goHome} theme={theme} />
+            )
+          ) : view.name === "notFound" ? (
+            <NotFound onHome={goHome} theme={theme} />
+          ) : (
+            <>
+              <div className="p-2">
+                <StoriesBar users={users} groups={storyGroups} currentUser={currentUser} onOpen={openStories} onCreate={() => setComposingStory(true)} />
+              </div>
 
-          <Composer currentUser={currentUser} onCreate={handleCreate} theme={theme} />
+              <Composer currentUser={currentUser} rooms={joinedRooms} onCreate={handleCreate} theme={theme} />
 
-          <div className="space-y-3">
-            <AnimatePresence>
-              {loading ? (
-                <div className="text-slate-300">Loading...</div>
+              {tagFilter ? (
+                <div className="flex items-center gap-2 text-xs">
+                  <div className="text-sm font-semibold">#{tagFilter}</div>
+                  <div className="text-slate-400">{feedPages.total ?? feed.length} posts</div>
+                  <button onClick={goHome} className="ml-auto px-2 py-1 rounded-md border">Clear filter</button>
+                </div>
               ) : (
-                posts.map((p) => (
-                  <PostCard key={p.id} post={p} author={authorById(p.authorId)} currentUser={currentUser} onLike={handleLike} onComment={openComment} theme={theme} />
-                ))
+              <div className="flex items-center gap-2 text-xs">
+                {[["foryou", "For you"], ["following", "Following"], ["latest", "Latest"]].map(([mode, label]) => (
+                  <button key={mode} onClick={() => setFeedMode(mode)} className={`px-3 py-1 rounded-md border ${feedMode === mode ? "font-semibold" : "opacity-70"}`} style={feedMode === mode ? { borderColor: theme.accentA } : undefined}>
+                    {label}
+                  </button>
+                ))}
+                {feedMode === "foryou" && (
+                  <button onClick={() => setRankNonce((n) => n + 1)} className="ml-auto px-2 py-1 rounded-md text-slate-400">Refresh</button>
+                )}
+              </div>
               )}
-            </AnimatePresence>
-          </div>
+
+              <div>
+                <NewPostsPill pages={feedPages} theme={theme} />
+                <WindowedList items={feed} renderItem={(p) => <PostCard post={p} author={authorById(p.authorId)} insight={feedMode === "foryou" && !tagFilter ? ranking?.get(p.id) : null} {...cardProps} />} />
+                <LoadMore pages={feedPages} empty={!tagFilter && feedMode === "following" ? "Posts from people you follow show up here. Open a profile to follow someone." : "No posts yet."} theme={theme} />
+              </div>
+            </>
+          )}
         </main>
 
         {/* RIGHT */}
         <aside className="md:col-span-1 space-y-3 order-3 md:order-3">
-          <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
-            <div className="text-sm font-semibold">Explore</div>
-            <div className="mt-2 text-xs text-slate-300">Trending tags and people</div>
-            <div className="mt-3 flex flex-col gap-2 text-xs">
-              <button className="px-3 py-2 rounded-md text-left">#productivity</button>
-              <button className="px-3 py-2 rounded-md text-left">#sustainability</button>
-              <button className="px-3 py-2 rounded-md text-left">#design</button>
-            </div>
-          </div>
+          <ExplorePanel trending={trending} people={people} activeTag={tagFilter} onOpenTag={openTag} onOpenProfile={openProfile} onFollow={handleFollow} theme={theme} />
 
           <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
             <div className="text-sm font-semibold">Shortcuts</div>
@@ -470,7 +6235,39 @@ export default function MindLink() {
       </div>
 
       {/* Chat panel */}
-      {showChat && <ChatPanel currentUser={currentUser} onClose={() => setShowChat(false)} theme={theme} />}
+      {showChat && <ChatPanel currentUser={currentUser} users={users} messages={inbox} partnerId={chatWith} onPartner={(id) => navigate(PATHS.messages(id), { replace: true, state: { background } })} onClose={closeChat} theme={theme} />}
+
+      {/* Stories */}
+      <AnimatePresence>
+        {viewingStories && (
+          <StoryViewer
+            groups={viewingStories.groups}
+            startAuthorId={viewingStories.authorId}
+            currentUser={currentUser}
+            authorById={authorById}
+            onSeen={(story) => service.markStorySeen(story.id, currentUser.id).catch((e) => console.error(e))}
+            onMessage={(id) => { setViewingStories(null); openChat(id); }}
+            onOpenProfile={(id) => { setViewingStories(null); openProfile(id); }}
+            onClose={() => setViewingStories(null)}
+            theme={theme}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {composingStory && <StoryComposer currentUser={currentUser} onClose={() => setComposingStory(false)} theme={theme} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {reporting && <ReportDialog target={reporting} currentUser={currentUser} onClose={() => setReporting(null)} theme={theme} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {deleted && <UndoToast key={deleted.id} message="Post deleted." onUndo={undoDelete} onDismiss={() => setDeleted(null)} theme={theme} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {quoting && <QuoteComposer post={quoting} currentUser={currentUser} authorById={authorById} onClose={() => setQuoting(null)} onQuoted={handleQuoted} theme={theme} />}
+      </AnimatePresence>
 
       {/* Comment modal (simple) */}
       <AnimatePresence>
@@ -478,10 +6275,23 @@ export default function MindLink() {
           <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-end md:items-center justify-center p-4">
             <div className="absolute inset-0 bg-black/60" onClick={() => setCommentingPost(null)} />
             <motion.div initial={{ y: 100 }} animate={{ y: 0 }} exit={{ y: 100 }} className="relative w-full md:w-[560px] p-4 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}`, zIndex: 60 }}>
-              <div className="text-sm font-semibold mb-2">Write a private comment (only visible to you)</div>
-              <textarea ref={commentRef} rows={4} className="w-full bg-transparent outline-none p-2 rounded-md" placeholder="Write a private note or comment..." />
+              <div className="text-sm font-semibold mb-2">
+                {commentingPost.replyTo ? `Reply to ${commentingPost.replyTo.authorId === currentUser.id ? "yourself" : authorById(commentingPost.replyTo.authorId).display}` : "Add a comment"}
+              </div>
+              {commentingPost.replyTo ? (
+                <div className="mb-2 p-2 rounded-md bg-white/3 text-xs text-slate-300 truncate">{commentingPost.replyTo.body}</div>
+              ) : (
+                <div className="mb-2 flex gap-2 text-xs">
+                  {[["public", "Public comment"], ["private", "Private note (only you)"]].map(([v, label]) => (
+                    <button key={v} onClick={() => setCommentVisibility(v)} className={`px-2 py-1 rounded-md border ${commentVisibility === v ? "font-semibold" : "opacity-70"}`} style={commentVisibility === v ? { borderColor: theme.accentA } : undefined}>{label}</button>
+                  ))}
+                </div>
+              )}
+              <textarea ref={commentRef} rows={4} className="w-full bg-transparent outline-none p-2 rounded-md" placeholder={commentVisibility === "private" && !commentingPost.replyTo ? "Write a private note..." : "Write a comment..."} />
               <div className="mt-3 flex items-center gap-2">
-                <button onClick={() => { const body = commentRef.current?.value || ""; submitComment(commentingPost, body, true); }} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Save private comment</button>
+                <button onClick={() => { const body = commentRef.current?.value || ""; submitComment(commentingPost, body, commentVisibility); }} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>
+                  {commentingPost.replyTo ? "Reply" : commentVisibility === "private" ? "Save private note" : "Post comment"}
+                </button>
                 <button onClick={() => setCommentingPost(null)} className="px-3 py-1 rounded-md border">Cancel</button>
               </div>
             </motion.div>
@@ -492,30 +6302,305 @@ export default function MindLink() {
   );
 }
 
-/* -------------------- SIMPLE WALLET PANEL (demo) -------------------- */
-function WalletPanelSimple({ theme }) {
-  const [balance, setBalance] = useState(() => LS.get("ml_wallet_balance", 8));
-  const buy = () => {
-    if (balance < 5) {
-      alert("Top-up to buy premium.");
+/* -------------------- ACCOUNTS -------------------- */
+const SESSION_KEY = "ml_session";
+
+// Device-local session: the accounts signed in on this device and which one is active.
+// Builds before accounts kept a single user object in `ml_user` plus global theme and
+// wallet keys; those are handed to that user the first time we run.
+const loadSession = () => {
+  const saved = LS.get(SESSION_KEY, null);
+  if (saved?.accountIds) return saved;
+  const id = LS.get("ml_user", null)?.id || "u_you";
+  for (const k of ["ml_theme", "ml_wallet_balance"]) {
+    const legacy = LS.get(k, null);
+    if (legacy !== null && LS.get(userKey(id, k), null) === null) LS.set(userKey(id, k), legacy);
+  }
+  return { activeId: id, accountIds: [id] };
+};
+
+function AccountSwitcher({ accounts, activeId, onSwitch, onSignIn, onSignOut, onClose, theme }) {
+  const service = useService();
+  const [mode, setMode] = useState(accounts.length ? "list" : "login"); // list | login | register
+  const [form, setForm] = useState({ username: "", display: "", avatar: "", passphrase: "", confirm: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const field = (k) => ({ value: form[k], onChange: (e) => setForm((f) => ({ ...f, [k]: e.target.value })) });
+  const inputClass = "w-full px-2 py-1 rounded-md bg-transparent border border-white/10 text-sm";
+
+  const submit = async () => {
+    setError("");
+    if (mode === "register" && form.passphrase !== form.confirm) {
+      setError("Passphrases don't match.");
       return;
     }
-    setBalance((b) => b - 5);
-    LS.set("ml_wallet_balance", Math.max(0, balance - 5));
-    alert("Premium unlocked (demo).");
+    setBusy(true);
+    try {
+      const user = mode === "login" ? await service.login(form.username, form.passphrase) : await service.register(form);
+      setForm((f) => ({ ...f, passphrase: "", confirm: "" }));
+      onSignIn(user);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-[80] flex items-center justify-center p-4" style={{ color: theme.text }}>
+      <div className="absolute inset-0 bg-black/70" onClick={onClose} />
+      <motion.div initial={{ y: 40 }} animate={{ y: 0 }} exit={{ y: 40 }} className="relative w-full max-w-sm p-4 rounded-2xl" style={{ background: theme.bg, border: `1px solid ${theme.soft}` }}>
+        {mode === "list" ? (
+          <>
+            <div className="text-sm font-semibold mb-3">Accounts on this device</div>
+            <div className="space-y-1">
+              {accounts.map((u) => (
+                <div key={u.id} className="flex items-center gap-2 p-2 rounded-md hover:bg-white/5">
+                  <button onClick={() => onSwitch(u.id)} className="flex-1 flex items-center gap-2 text-left">
+                    <Avatar letter={u.avatar} size={8} theme={theme} />
+                    <div>
+                      <div className="text-sm">{u.display} {u.id === activeId && <span className="text-[11px] text-slate-400">· active</span>}</div>
+                      <div className="text-[11px] text-slate-400">@{u.username}</div>
+                    </div>
+                  </button>
+                  <button onClick={() => onSignOut(u.id)} className="text-[11px] px-2 py-1 rounded-md border">Sign out</button>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 flex gap-2">
+              <button onClick={() => setMode("login")} className="px-3 py-1 rounded-md border text-xs">Add account</button>
+              {onClose && <button onClick={onClose} className="ml-auto px-3 py-1 rounded-md border text-xs">Close</button>}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex gap-2 mb-3 text-xs">
+              {[["login", "Log in"], ["register", "Sign up"]].map(([m, label]) => (
+                <button key={m} onClick={() => { setMode(m); setError(""); }} className={`px-3 py-1 rounded-md border ${mode === m ? "font-semibold" : "opacity-70"}`} style={mode === m ? { borderColor: theme.accentA } : undefined}>{label}</button>
+              ))}
+              {accounts.length > 0 && <button onClick={() => setMode("list")} className="ml-auto px-2 py-1 rounded-md text-slate-400">Back</button>}
+            </div>
+            <form className="space-y-2" onSubmit={(e) => { e.preventDefault(); submit(); }}>
+              <input {...field("username")} placeholder="Username" autoComplete="username" className={inputClass} />
+              {mode === "register" && (
+                <div className="flex gap-2">
+                  <input {...field("display")} placeholder="Display name" className={inputClass} />
+                  <input {...field("avatar")} placeholder="Avatar" maxLength={2} className="w-20 px-2 py-1 rounded-md bg-transparent border border-white/10 text-sm" />
+                </div>
+              )}
+              <input {...field("passphrase")} type="password" placeholder="Passphrase" autoComplete={mode === "login" ? "current-password" : "new-password"} className={inputClass} />
+              {mode === "register" && <input {...field("confirm")} type="password" placeholder="Repeat passphrase" autoComplete="new-password" className={inputClass} />}
+              {mode === "login" && <div className="text-[11px] text-slate-400">Demo accounts (you, rui) have no passphrase.</div>}
+              {error && <div className="text-xs text-red-400">{error}</div>}
+              <button type="submit" disabled={busy} className="w-full px-3 py-1 rounded-md font-semibold" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text, opacity: busy ? 0.6 : 1 }}>
+                {busy ? "Please wait..." : mode === "login" ? "Log in" : "Create account"}
+              </button>
+            </form>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+function MindLinkShell() {
+  const service = useService();
+  const [session, setSession] = useState(loadSession);
+  const [accounts, setAccounts] = useState(null); // users behind session.accountIds
+  const [loadError, setLoadError] = useState("");
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const accountIds = session.accountIds.join(",");
+
+  useEffect(() => {
+    LS.set(SESSION_KEY, session);
+  }, [session]);
+
+  useEffect(() => {
+    let mounted = true;
+    let expiry = null;
+    const load = async () => {
+      let all;
+      try {
+        all = await service.fetchUsers();
+      } catch (e) {
+        if (mounted) setLoadError(e.message); // offline or the backend is down; retried when back online
+        return;
+      }
+      if (!mounted) return;
+      setLoadError("");
+      const mine = session.accountIds.map((id) => all.find((u) => u.id === id)).filter(Boolean);
+      setAccounts(mine);
+      // premium runs out on its own; reload when the next one does so badges and perks flip back
+      clearTimeout(expiry);
+      const next = Math.min(...mine.filter((u) => u.premium).map((u) => u.premiumUntil));
+      if (Number.isFinite(next)) expiry = setTimeout(load, Math.min(next - Date.now() + 1000, 2 ** 31 - 1));
+    };
+    load();
+    window.addEventListener("online", load);
+    const off = service.subscribe((e) => {
+      if (e.type === "user") load();
+    });
+    return () => { mounted = false; clearTimeout(expiry); window.removeEventListener("online", load); off(); };
+  }, [accountIds, loadAttempt]);
+
+  const currentUser = accounts?.find((u) => u.id === session.activeId) || null;
+  const theme = currentUser && LS.get(userKey(currentUser.id, "ml_theme"), "dark") === "light" ? THEME.light : THEME.dark;
+
+  const signIn = (user) => {
+    setAccounts((a) => (a.some((u) => u.id === user.id) ? a : [...a, user]));
+    setSession((s) => ({ activeId: user.id, accountIds: s.accountIds.includes(user.id) ? s.accountIds : [...s.accountIds, user.id] }));
+    setShowAccounts(false);
+  };
+
+  const switchTo = (id) => {
+    setSession((s) => ({ ...s, activeId: id }));
+    setShowAccounts(false);
+  };
+
+  const signOut = (id) => {
+    setAccounts((a) => a.filter((u) => u.id !== id));
+    setSession((s) => {
+      const ids = s.accountIds.filter((x) => x !== id);
+      return { accountIds: ids, activeId: s.activeId === id ? ids[0] || null : s.activeId };
+    });
+  };
+
+  if (!accounts) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: "100vh", background: THEME.dark.bg, color: THEME.dark.text }}>
+        {loadError && (
+          <div className="p-6 rounded-2xl text-center" style={{ background: THEME.dark.card, border: `1px solid ${THEME.dark.soft}` }}>
+            <div className="text-sm text-slate-300">Couldn't load MindLink: {loadError}</div>
+            <button onClick={() => setLoadAttempt((n) => n + 1)} className="mt-3 px-3 py-1 rounded-md border text-xs">Try again</button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {currentUser ? (
+        <MindLinkSession key={currentUser.id} currentUser={currentUser} onOpenAccounts={() => setShowAccounts(true)} />
+      ) : (
+        <div style={{ minHeight: "100vh", background: THEME.dark.bg }} />
+      )}
+      <AnimatePresence>
+        {(showAccounts || !currentUser) && (
+          <AccountSwitcher
+            accounts={accounts}
+            activeId={currentUser?.id}
+            onSwitch={switchTo}
+            onSignIn={signIn}
+            onSignOut={signOut}
+            onClose={currentUser ? () => setShowAccounts(false) : null}
+            theme={theme}
+          />
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+// `service` swaps the backend, e.g. a REST adapter or a stub in a story/test
+export default function MindLink({ service = appService }) {
+  return (
+    <ServiceContext.Provider value={service}>
+      <MindLinkShell />
+    </ServiceContext.Provider>
+  );
+}
+
+/* -------------------- WALLET -------------------- */
+const TX_LABELS = { topup: "Top-up", purchase: "Purchase", refund: "Refund", tip: "Tip" };
+
+function WalletPanel({ currentUser, theme }) {
+  const service = useService();
+  const [wallet, setWallet] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const w = await service.fetchWallet(currentUser.id);
+        if (mounted) setWallet(w);
+      } catch (e) {
+        if (mounted) setError(e.message);
+      }
+    };
+    // the pre-ledger balance lived in localStorage; move it over once
+    const legacyKey = userKey(currentUser.id, "ml_wallet_balance");
+    const legacy = LS.get(legacyKey, null);
+    const importLegacy = async () => {
+      try {
+        await service.importLegacyBalance(currentUser.id, legacy);
+        LS.remove(legacyKey);
+      } catch (e) {
+        if (mounted) setError(e.message); // left in place, so the next visit tries again
+      }
+    };
+    (legacy !== null ? importLegacy() : Promise.resolve()).then(load);
+    const off = service.subscribe((e) => {
+      if (e.type === "wallet" && e.userIds.includes(currentUser.id)) load();
+    });
+    return () => { mounted = false; off(); };
+  }, [currentUser.id]);
+
+  const attempt = async (fn) => {
+    try {
+      await fn();
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
   };
+
+  if (!wallet) return error ? <div className="p-3 rounded-2xl text-xs text-red-400" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>Couldn't load your wallet: {error}</div> : null;
+
+  const active = wallet.premiumUntil > Date.now();
+
   return (
     <div className="p-3 rounded-2xl" style={{ background: theme.card, border: `1px solid ${theme.soft}` }}>
       <div className="flex items-center justify-between">
         <div>
           <div className="text-sm font-semibold">Wallet</div>
-          <div className="text-xs text-slate-300">Balance: ${balance.toFixed(2)}</div>
-        </div>
-        <div className="flex gap-2">
-          <button onClick={() => { setBalance((b) => { const nb = b + 10; LS.set("ml_wallet_balance", nb); return nb; }); }} className="px-3 py-1 rounded-md border text-xs">Top up +$10</button>
-          <button onClick={buy} className="px-3 py-1 rounded-md" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>Buy $5</button>
+          <div className="text-xs text-slate-300">Balance: {formatMoney(wallet.balance)}</div>
+          <div className="text-[11px] text-slate-400">{active ? `Premium until ${new Date(wallet.premiumUntil).toLocaleDateString()}` : "Free plan"}</div>
         </div>
+        <button onClick={() => attempt(() => service.topUp(currentUser.id, 1000))} className="px-3 py-1 rounded-md border text-xs">Top up +$10</button>
+      </div>
+      <div className="mt-2 flex gap-2">
+        {PREMIUM_PLANS.map((plan) => (
+          <button key={plan.id} onClick={() => attempt(() => service.buyPremium(currentUser.id, plan.id))} className="flex-1 px-2 py-1 rounded-md text-xs" style={{ background: `linear-gradient(90deg, ${THEME.dark.accentB}, ${THEME.dark.accentA})`, color: theme.text }}>
+            {active ? "Extend" : "Premium"} {plan.label} · {formatMoney(plan.price)}
+          </button>
+        ))}
       </div>
+      {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+      <button onClick={() => setShowHistory((h) => !h)} className="mt-2 text-[11px] text-slate-400 hover:underline">{showHistory ? "Hide history" : `History (${wallet.transactions.length})`}</button>
+      {showHistory && (
+        <div className="mt-2 max-h-56 overflow-y-auto space-y-1">
+          {wallet.transactions.map((t) => (
+            <div key={t.id} className="flex items-center gap-2 text-xs">
+              <div className="flex-1 min-w-0">
+                <div className="truncate">
+                  {TX_LABELS[t.type]}
+                  {t.type === "tip" && t.counterparty && ` ${t.amount < 0 ? "to" : "from"} ${t.counterparty.display}`}
+                  {t.note && t.type !== "tip" && <span className="text-slate-400"> · {t.note}</span>}
+                </div>
+                <div className="text-[11px] text-slate-400">{timeAgo(t.createdAt)}{t.refunded && " · refunded"}</div>
+              </div>
+              {t.refundable && <button onClick={() => attempt(() => service.refundPurchase(currentUser.id, t.id))} className="px-2 py-0.5 rounded-md border text-[11px]">Refund</button>}
+              <div className={t.amount < 0 ? "text-red-300" : "text-emerald-300"}>{t.amount > 0 ? "+" : ""}{formatMoney(t.amount)}</div>
+            </div>
+          ))}
+          {!wallet.transactions.length && <div className="text-xs text-slate-400">No transactions yet.</div>}
+        </div>
+      )}
     </div>
   );
 }
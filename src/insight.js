@@ -0,0 +1,51 @@
+// src/insight.js
+// Ranking for the "For you" feed: signals become an interest profile, posts are scored against it.
+// Everything here is a pure function of its arguments, so identical inputs give an identical feed.
+export const INSIGHT = {
+  weights: { like: 3, comment: 4, compose: 2, message: 2, dwell: 1 },
+  halfLifeMs: 1000 * 60 * 60 * 24 * 7, // a signal counts half as much after a week
+  recencyHours: 12,
+  dwellFullMs: 15000, // dwell time that counts as a full signal
+  maxSignals: 500,
+};
+
+// signal: { type, at, tags?, authorId?, ms? }
+export const buildProfile = (signals, now) => {
+  const profile = { tags: {}, authors: {} };
+  for (const s of signals) {
+    const base = INSIGHT.weights[s.type] || 0;
+    const strength = s.type === "dwell" ? Math.min((s.ms || 0) / INSIGHT.dwellFullMs, 1) : 1;
+    const decay = Math.pow(0.5, Math.max(0, now - s.at) / INSIGHT.halfLifeMs);
+    const w = base * strength * decay;
+    if (!w) continue;
+    for (const t of s.tags || []) profile.tags[t] = (profile.tags[t] || 0) + w;
+    if (s.authorId) profile.authors[s.authorId] = (profile.authors[s.authorId] || 0) + w;
+  }
+  return profile;
+};
+
+// -> { post, score, reasons } where reasons are sorted by how much they contributed
+export const scorePost = (post, profile, now) => {
+  const ageHours = Math.max(0, now - post.createdAt) / 3600000;
+  const topTag = (post.tags || []).reduce((best, t) => ((profile.tags[t] || 0) > (best ? profile.tags[best] : 0) ? t : best), null);
+  const parts = [
+    { kind: "tag", tag: topTag, value: (post.tags || []).reduce((n, t) => n + (profile.tags[t] || 0), 0) },
+    { kind: "author", authorId: post.authorId, value: profile.authors[post.authorId] || 0 },
+    { kind: "recent", value: 4 / (1 + ageHours / INSIGHT.recencyHours) },
+    { kind: "popular", value: Math.log1p((post.likes || 0) + (post.comments?.length || 0)) },
+  ];
+  const score = parts.reduce((n, p) => n + p.value, 0);
+  // freshness lifts every new post, so it's only the explanation when nothing else applies
+  const strong = parts
+    .filter((p) => p.kind !== "recent" && p.value >= 1 && (p.kind !== "tag" || p.tag))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 2);
+  const reasons = (strong.length ? strong : parts.filter((p) => p.kind === "recent")).map(({ value, ...r }) => r);
+  return { post, score, reasons };
+};
+
+// highest score first; ties fall back to newest, then id, so the order is total
+export const rankPosts = (posts, profile, now) =>
+  posts
+    .map((p) => scorePost(p, profile, now))
+    .sort((a, b) => b.score - a.score || b.post.createdAt - a.post.createdAt || (a.post.id < b.post.id ? -1 : 1));
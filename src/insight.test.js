@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { buildProfile, rankPosts, scorePost } from "./insight.js";
+
+const NOW = Date.UTC(2024, 0, 15, 12);
+const HOUR = 3600000;
+
+const post = (id, fields = {}) => ({ id, authorId: "u_ava", tags: [], likes: 0, comments: [], createdAt: NOW - HOUR, ...fields });
+const ids = (ranked) => ranked.map((r) => r.post.id);
+
+const signals = [
+  { type: "like", at: NOW - 2 * HOUR, tags: ["space"], authorId: "u_rui" },
+  { type: "comment", at: NOW - 30 * HOUR, tags: ["music"] },
+  { type: "dwell", at: NOW - HOUR, tags: ["space"], ms: 6000 },
+  { type: "compose", at: NOW - 200 * HOUR, tags: ["food"] },
+];
+const posts = [
+  post("p1", { tags: ["music"], createdAt: NOW - 5 * HOUR }),
+  post("p2", { tags: ["space"], authorId: "u_rui", createdAt: NOW - 20 * HOUR }),
+  post("p3", { likes: 12, createdAt: NOW - 2 * HOUR }),
+  post("p4", { tags: ["food", "space"], createdAt: NOW - 48 * HOUR }),
+  post("p5", { createdAt: NOW - 10 * 60000 }),
+];
+
+describe("buildProfile", () => {
+  it("gives the same profile for the same signals", () => {
+    expect(buildProfile(signals, NOW)).toEqual(buildProfile(signals, NOW));
+  });
+
+  it("counts a signal half as much after a week", () => {
+    const week = 1000 * 60 * 60 * 24 * 7;
+    const fresh = buildProfile([{ type: "like", at: NOW, tags: ["a"] }], NOW);
+    const old = buildProfile([{ type: "like", at: NOW - week, tags: ["a"] }], NOW);
+    expect(old.tags.a).toBeCloseTo(fresh.tags.a / 2);
+  });
+
+  it("ignores unknown signal types", () => {
+    expect(buildProfile([{ type: "wave", at: NOW, tags: ["a"], authorId: "u_ava" }], NOW)).toEqual({ tags: {}, authors: {} });
+  });
+});
+
+describe("rankPosts", () => {
+  const profile = buildProfile(signals, NOW);
+
+  it("gives the same order for fixed inputs", () => {
+    const first = ids(rankPosts(posts, profile, NOW));
+    expect(first).toEqual(["p2", "p1", "p3", "p4", "p5"]);
+    for (let i = 0; i < 5; i++) expect(ids(rankPosts(posts, profile, NOW))).toEqual(first);
+  });
+
+  it("doesn't depend on the order posts come in", () => {
+    const expected = ids(rankPosts(posts, profile, NOW));
+    expect(ids(rankPosts([...posts].reverse(), profile, NOW))).toEqual(expected);
+    expect(ids(rankPosts([posts[2], posts[4], posts[0], posts[3], posts[1]], profile, NOW))).toEqual(expected);
+  });
+
+  it("breaks score ties by newest first", () => {
+    const empty = buildProfile([], NOW);
+    // a clock that's slightly behind can make posts look newer than now; they all count as brand new
+    const a = post("a", { createdAt: NOW + 1000 });
+    const b = post("b", { createdAt: NOW + 2000 });
+    expect(scorePost(a, empty, NOW).score).toBe(scorePost(b, empty, NOW).score);
+    expect(ids(rankPosts([a, b], empty, NOW))).toEqual(["b", "a"]);
+  });
+
+  it("breaks ties on equal scores and times by id", () => {
+    const empty = buildProfile([], NOW);
+    const twins = ["p_c", "p_a", "p_b"].map((id) => post(id));
+    expect(ids(rankPosts(twins, empty, NOW))).toEqual(["p_a", "p_b", "p_c"]);
+    expect(ids(rankPosts([...twins].reverse(), empty, NOW))).toEqual(["p_a", "p_b", "p_c"]);
+  });
+
+  it("explains a pick by what lifted it most", () => {
+    const [top] = rankPosts(posts, profile, NOW);
+    expect(top.reasons[0]).toEqual({ kind: "tag", tag: "space" });
+  });
+});